@@ -9,6 +9,13 @@ let currentFirmware = null;
 let isFlashing = false;
 let selectedFile = null;
 let fileDataCache = null;  // Cache file data to avoid re-reading
+let authorizedDevices = [];  // DeviceInfo list from UsbDevice.listDevices()
+let slotManager = null;  // Extra devices flashed in parallel (device-slots.js)
+let selectedPit = null;  // PIT file chosen for Re-Partition (Uint8Array)
+let flashController = null;  // Aborts the running flash (Stop button)
+
+// What has to be typed to confirm NAND Erase
+const NAND_ERASE_CONFIRMATION = 'ERASE';
 
 // Partition files storage (for separate BL/AP/CP/CSC inputs)
 let partitionFiles = {
@@ -127,7 +134,7 @@ function copyBitcoinAddress() {
 /**
  * Initialize application
  */
-window.addEventListener('DOMContentLoaded', () => {
+window.addEventListener('DOMContentLoaded', async () => {
     log('PyOdin Web initialized', 'success');
     
     // Show disclaimer on first visit
@@ -162,8 +169,13 @@ window.addEventListener('DOMContentLoaded', () => {
         }
         
         const verbose = document.getElementById('option-verbose')?.checked || true;
-        flasher = new OdinFlasher(verbose);
-        log('OdinFlasher initialized successfully', 'success');
+        
+        // Protocol runs in a Worker where WebUSB is available there,
+        // otherwise on the page
+        flasher = await FlashWorkerClient.create(verbose) || new OdinFlasher(verbose);
+        flasher.addEventListener('disconnect', handleDeviceDisconnect);
+        flasher.addEventListener('reattach', handleDeviceReattach);
+        log(`OdinFlasher initialized successfully${flasher instanceof FlashWorkerClient ? ' (in worker)' : ''}`, 'success');
     } catch (error) {
         log(`Failed to initialize flasher: ${error.message}`, 'error');
         log(`Error stack: ${error.stack}`, 'error');
@@ -171,15 +183,35 @@ window.addEventListener('DOMContentLoaded', () => {
         return;
     }
     
+    // Keep the authorized device list in sync with the bus
+    navigator.usb.addEventListener('connect', refreshAuthorizedDevices);
+    navigator.usb.addEventListener('disconnect', refreshAuthorizedDevices);
+    refreshAuthorizedDevices();
+    renderDeviceFilters();
+    renderTransferSettings();
+    
+    slotManager = new SlotManager(document.getElementById('device-slots'), {
+        verbose: flasher.verbose,
+        getFirmware: () => ({
+            firmware: currentFirmware,
+            name: document.getElementById('firmware-name').textContent
+        }),
+        getOptions: getFlashOptions,
+        confirmOptions: confirmDestructiveOptions,
+        isInUse: (device) => flasher.isConnected && isSameDeviceInfo(flasher.getDeviceInfo(), device)
+    });
+    
     log('Ready to flash firmware', 'info');
 });
 
 /**
  * Connect to device
+ * @param {USBDevice} device - Already authorized device (skips the chooser)
+ * @param {string} serialNumber - Connect the authorized device with this
+ *                                USB serial number instead (skips the chooser)
  */
-async function connectDevice() {
+async function connectDevice(device = null, serialNumber = null) {
     const btn = document.getElementById('connect-btn');
-    const statusIndicator = document.getElementById('status-indicator');
     const statusText = document.getElementById('device-status-text');
     const infoText = document.getElementById('device-info-text');
     
@@ -188,27 +220,29 @@ async function connectDevice() {
         return;
     }
     
+    const known = device || authorizedDevices.find(info => serialNumber && info.serialNumber === serialNumber);
+    if (known && slotManager && slotManager.holds(known)) {
+        showError('This device is connected in a Multi-Device slot. Remove the slot first.');
+        return;
+    }
+    
     try {
         btn.disabled = true;
         btn.innerHTML = 'Connecting...<span class="spinner"></span>';
         
-        log('Requesting device access...', 'info');
+        log(device || serialNumber ? 'Reconnecting to device...' : 'Requesting device access...', 'info');
         
-        const deviceInfo = await flasher.connectDevice();
+        await flasher.setTransferOverrides(TransferSettings.shared().overrides);
+        const deviceInfo = serialNumber
+            ? await flasher.connectBySerial(serialNumber)
+            : await flasher.connectDevice(device);
         
-        // Update UI
-        statusIndicator.classList.add('connected');
-        statusText.textContent = 'Device Connected';
-        infoText.textContent = `${deviceInfo.product || 'Samsung Device'} - Serial: ${deviceInfo.serialNumber || 'Unknown'}`;
-        btn.textContent = 'Connected';
-        btn.classList.remove('btn-primary');
-        btn.classList.add('btn-success');
+        showDeviceConnected(deviceInfo);
+        refreshAuthorizedDevices();
         
         log('Device connected successfully!', 'success');
-        
-        // Enable flash button if firmware is loaded
-        if (currentFirmware) {
-            document.getElementById('flash-btn').disabled = false;
+        if (deviceInfo.transferProfile) {
+            log(`Transfer sizes: ${deviceInfo.transferProfile}`, 'info');
         }
         
     } catch (error) {
@@ -217,10 +251,324 @@ async function connectDevice() {
         infoText.textContent = error.message;
         btn.disabled = false;
         btn.textContent = 'Connect Device';
-        showError(`Failed to connect to device: ${error.message}`);
+        showError(`Failed to connect to device: ${error.message}`, error);
+    }
+}
+
+/**
+ * Refresh the list of devices this origin is already authorized for
+ */
+async function refreshAuthorizedDevices() {
+    const list = document.getElementById('authorized-devices-list');
+    
+    try {
+        authorizedDevices = await UsbDevice.listDevices();
+    } catch (error) {
+        log(`Failed to list authorized devices: ${error.message}`, 'error');
+        authorizedDevices = [];
+    }
+    
+    list.innerHTML = '';
+    
+    if (authorizedDevices.length === 0) {
+        const emptyDiv = document.createElement('div');
+        emptyDiv.className = 'firmware-item';
+        emptyDiv.textContent = 'No authorized devices in Download Mode';
+        list.appendChild(emptyDiv);
+        return;
+    }
+    
+    authorizedDevices.forEach((deviceInfo, index) => {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'firmware-item';
+        
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'firmware-item-name';
+        nameSpan.textContent = deviceInfo.product || 'Samsung Device';
+        
+        const serialSpan = document.createElement('span');
+        serialSpan.className = 'firmware-item-size';
+        serialSpan.textContent = `Serial: ${deviceInfo.serialNumber || 'Unknown'}`;
+        
+        const connectBtn = document.createElement('button');
+        connectBtn.className = 'btn btn-primary btn-small';
+        connectBtn.textContent = 'Connect';
+        connectBtn.disabled = isFlashing;
+        connectBtn.onclick = () => connectAuthorizedDevice(index);
+        
+        itemDiv.appendChild(nameSpan);
+        itemDiv.appendChild(serialSpan);
+        itemDiv.appendChild(connectBtn);
+        list.appendChild(itemDiv);
+    });
+}
+
+/**
+ * Render the device filter registry (VID/PID pairs treated as Download Mode)
+ */
+function renderDeviceFilters() {
+    const list = document.getElementById('device-filters-list');
+    list.innerHTML = '';
+    
+    DeviceFilterRegistry.shared().filters.forEach(filter => {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'firmware-item';
+        
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'firmware-item-name';
+        nameSpan.textContent = filter.label || 'Custom device';
+        
+        const idSpan = document.createElement('span');
+        idSpan.className = 'firmware-item-size';
+        idSpan.textContent = `${filter.vendorId.toString(16).toUpperCase().padStart(4, '0')}:${filter.productId.toString(16).toUpperCase().padStart(4, '0')}`;
+        
+        itemDiv.appendChild(nameSpan);
+        itemDiv.appendChild(idSpan);
+        
+        if (filter.builtIn) {
+            const builtInSpan = document.createElement('span');
+            builtInSpan.className = 'firmware-item-size';
+            builtInSpan.textContent = 'built-in';
+            itemDiv.appendChild(builtInSpan);
+        } else {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-danger btn-small';
+            removeBtn.textContent = 'Remove';
+            removeBtn.onclick = () => removeDeviceFilter(filter.vendorId, filter.productId);
+            itemDiv.appendChild(removeBtn);
+        }
+        
+        list.appendChild(itemDiv);
+    });
+}
+
+/**
+ * Add a VID/PID pair from the settings form
+ */
+function addDeviceFilter() {
+    const vidInput = document.getElementById('filter-vid');
+    const pidInput = document.getElementById('filter-pid');
+    const labelInput = document.getElementById('filter-label');
+    
+    try {
+        const filter = DeviceFilterRegistry.shared().add(vidInput.value, pidInput.value, labelInput.value);
+        log(`Device filter added: ${filter}`, 'success');
+        vidInput.value = '';
+        pidInput.value = '';
+        labelInput.value = '';
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+    
+    renderDeviceFilters();
+    refreshAuthorizedDevices();
+}
+
+/**
+ * Remove a user-added VID/PID pair
+ */
+function removeDeviceFilter(vendorId, productId) {
+    const filter = DeviceFilterRegistry.shared().find(vendorId, productId);
+    if (DeviceFilterRegistry.shared().remove(vendorId, productId)) {
+        log(`Device filter removed: ${filter}`, 'info');
+    }
+    
+    renderDeviceFilters();
+    refreshAuthorizedDevices();
+}
+
+/**
+ * Connect to an entry of the authorized device list (no chooser)
+ */
+async function connectAuthorizedDevice(index) {
+    const deviceInfo = authorizedDevices[index];
+    if (!deviceInfo) {
+        return;
+    }
+    
+    if (flasher.isConnected) {
+        await flasher.disconnectDevice();
+    }
+    
+    log(`Connecting to ${deviceInfo.product || 'Samsung Device'} (serial ${deviceInfo.serialNumber || 'unknown'})...`, 'info');
+    if (deviceInfo.serialNumber) {
+        await connectDevice(null, deviceInfo.serialNumber);
+    } else {
+        await connectDevice(deviceInfo.device);
+    }
+}
+
+/**
+ * Connect to the authorized device whose serial number was typed in (like odin4 -d)
+ */
+async function connectSerialInput() {
+    const serialNumber = document.getElementById('connect-serial').value.trim();
+    if (!serialNumber) {
+        showError('Enter the USB serial number of an authorized device');
+        return;
+    }
+    
+    if (flasher.isConnected) {
+        await flasher.disconnectDevice();
+    }
+    
+    log(`Connecting to the device with serial ${serialNumber}...`, 'info');
+    await connectDevice(null, serialNumber);
+}
+
+/**
+ * Add a device to the Multi-Device slots (chooser)
+ */
+async function addSlotDevice() {
+    try {
+        await slotManager.addDevice();
+    } catch (error) {
+        log(`Failed to add device slot: ${error.message}`, 'error');
     }
 }
 
+/**
+ * Give every authorized device in Download Mode a slot
+ */
+async function addAllSlotDevices() {
+    try {
+        const slots = await slotManager.addAllAuthorized();
+        log(`Added ${slots.length} device slot(s)`, 'info');
+    } catch (error) {
+        log(`Failed to add device slots: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Flash every ready slot at once
+ */
+async function flashAllSlots() {
+    await slotManager.flashAll();
+}
+
+/**
+ * Update device status panel for a connected device
+ */
+function showDeviceConnected(deviceInfo) {
+    const btn = document.getElementById('connect-btn');
+    
+    document.getElementById('status-indicator').classList.add('connected');
+    document.getElementById('device-status-text').textContent = 'Device Connected';
+    document.getElementById('device-info-text').textContent =
+        `${deviceInfo.product || 'Samsung Device'} - Serial: ${deviceInfo.serialNumber || 'Unknown'}`;
+    btn.disabled = false;
+    btn.textContent = 'Connected';
+    btn.classList.remove('btn-primary');
+    btn.classList.add('btn-success');
+    
+    // Enable flash button if firmware is loaded
+    if (currentFirmware && !isFlashing) {
+        document.getElementById('flash-btn').disabled = false;
+    }
+    document.getElementById('read-partitions-btn').disabled = isFlashing;
+    
+    showDeviceIdentity(deviceInfo);
+    showDeviceDetails(deviceInfo.descriptors || null);
+}
+
+/**
+ * Show what the bootloader reported about itself (DVIF)
+ */
+function showDeviceIdentity(deviceInfo) {
+    const text = document.getElementById('device-identity-text');
+    
+    if (!deviceInfo || !deviceInfo.identity) {
+        text.textContent = '';
+        text.classList.add('hidden');
+        return;
+    }
+    
+    const fields = [
+        ['Model', deviceInfo.modelName],
+        ['Firmware', deviceInfo.firmwareVersion],
+        ['Sales code', deviceInfo.salesCode],
+        ['Unique ID', deviceInfo.uniqueId]
+    ];
+    text.textContent = fields.map(([label, value]) => `${label}: ${value || 'Unknown'}`).join(' | ');
+    text.classList.remove('hidden');
+}
+
+/**
+ * Fill the device details panel from a UsbDescriptorReport
+ */
+function showDeviceDetails(report) {
+    const details = document.getElementById('device-details');
+    const warning = document.getElementById('link-speed-warning');
+    
+    if (!report) {
+        details.classList.add('hidden');
+        return;
+    }
+    
+    document.getElementById('device-link-speed').textContent = report.linkSpeedLabel;
+    document.getElementById('device-descriptors').textContent = report.toLines().join('\n');
+    
+    if (report.warnings.length > 0) {
+        warning.innerHTML = '<strong>⚠️ USB link:</strong>';
+        for (const message of report.warnings) {
+            const p = document.createElement('p');
+            p.textContent = message;
+            warning.appendChild(p);
+        }
+        warning.classList.remove('hidden');
+    } else {
+        warning.classList.add('hidden');
+    }
+    
+    details.classList.remove('hidden');
+}
+
+/**
+ * Update device status panel after the device went away
+ */
+function showDeviceDisconnected(message) {
+    const btn = document.getElementById('connect-btn');
+    
+    document.getElementById('status-indicator').classList.remove('connected');
+    document.getElementById('device-status-text').textContent = 'Device Disconnected';
+    document.getElementById('device-info-text').textContent = message;
+    btn.disabled = isFlashing;
+    btn.textContent = 'Connect Device';
+    btn.classList.remove('btn-success');
+    btn.classList.add('btn-primary');
+    document.getElementById('flash-btn').disabled = true;
+    document.getElementById('read-partitions-btn').disabled = true;
+    showPartitionList([]);
+    showDeviceIdentity(null);
+    showDeviceDetails(null);
+}
+
+/**
+ * Device was unplugged (or rebooted) while connected
+ */
+function handleDeviceDisconnect(event) {
+    if (event.detail.duringFlash) {
+        log('Device disconnected during flashing - transfer aborted', 'error');
+        showDeviceDisconnected('Cable dropped during flashing. Put the device back in Download Mode to reconnect.');
+    } else {
+        log('Device disconnected', 'warning');
+        showDeviceDisconnected('Put your device back in Download Mode - it will be picked up automatically.');
+    }
+}
+
+/**
+ * Same device re-entered Download Mode - reconnect without the chooser
+ */
+async function handleDeviceReattach(event) {
+    if (isFlashing) {
+        return;
+    }
+    
+    log('Device is back in Download Mode - reconnecting...', 'info');
+    await connectDevice(event.detail.device);
+}
+
 /**
  * Handle firmware file selection
  * For large files (>4GB), keep file handle and read in chunks
@@ -1769,7 +2117,17 @@ async function startFlash() {
         return;
     }
     
+    const options = getFlashOptions();
+    if (options.repartition && !options.pitData && !currentFirmware.pitData) {
+        showError('Re-Partition is on but no PIT is selected, and the firmware does not contain one');
+        return;
+    }
+    if (!confirmDestructiveOptions(options)) {
+        return;
+    }
+    
     isFlashing = true;
+    flashController = new AbortController();
     
     // Update UI
     document.getElementById('flash-btn').disabled = true;
@@ -1780,58 +2138,153 @@ async function startFlash() {
     updateProgress(0, 'Initializing...');
     
     try {
-        const rebootCheckbox = document.getElementById('option-reboot');
-        const reboot = rebootCheckbox?.checked ?? true;
-        
-        log(`Auto-reboot setting: ${reboot ? 'ENABLED' : 'DISABLED'}`, reboot ? 'info' : 'warning');
+        log(`After flashing: ${document.getElementById('option-end-action').selectedOptions[0].textContent}`,
+            options.endAction === EndAction.STAY ? 'warning' : 'info');
+        if (options.resetTime) {
+            log('F. Reset Time: the flash time will be reset', 'info');
+        }
+        if (options.repartition) {
+            log(`Re-Partition: ${options.pitData ? 'selected PIT file' : 'PIT from the firmware'}`, 'warning');
+        }
+        if (options.nandErase) {
+            log('NAND Erase: user data will be wiped before flashing', 'warning');
+        }
+        if (options.tflash) {
+            log('T-Flash: files will be written to the SD card', 'info');
+        }
         
         // Start flashing with progress callback
-        const success = await flasher.flash(
+        const result = await flasher.flash(
             currentFirmware,
-            null,  // PIT data (optional)
-            reboot,
+            options,
             (progress) => {
-                updateProgress(
-                    progress.percentage,
-                    `Flashing ${progress.currentFile}: ${formatBytes(progress.bytesTransferred)} / ${formatBytes(progress.totalBytes)}`
-                );
-            }
+                updateProgress(progress.overallPercentage, `Flashing ${formatProgress(progress)}`);
+            },
+            flashController.signal
         );
         
-        if (success) {
+        if (result && result.stopped) {
+            updateProgress(0, `Stopped - ${result.written.length} written, ${result.incomplete.length} incomplete, ` +
+                `${result.notStarted.length} not started`);
+            log(`⏹ ${result.summary}`, 'warning');
+        } else if (result) {
             updateProgress(100, 'Flash complete!');
             log('✅ Firmware flashed successfully!', 'success');
             
-            if (reboot) {
-            showSuccess('Firmware flashed successfully! Your device is rebooting.');
-            } else {
-                showSuccess('Firmware flashed successfully! Device is still in Download Mode. You can manually reboot it.');
+            if (result.resetTime === false) {
+                log('F. Reset Time was not accepted by the device', 'warning');
             }
+            showSuccess(`Firmware flashed successfully! ${result.summary}.`);
         }
         
     } catch (error) {
         log(`❌ Flash failed: ${error.message}`, 'error');
-        showError(`Flash failed: ${error.message}`);
+        showError(`Flash failed: ${error.message}`, error);
         updateProgress(0, 'Flash failed');
     } finally {
         isFlashing = false;
-        document.getElementById('flash-btn').disabled = false;
+        flashController = null;
+        document.getElementById('flash-btn').disabled = !flasher.isConnected;
         document.getElementById('stop-btn').disabled = true;
         document.getElementById('connect-btn').disabled = false;
     }
 }
 
 /**
- * Stop flashing (emergency stop)
+ * Flash Options checkboxes as a FlashOptions
+ */
+function getFlashOptions() {
+    return new FlashOptions({
+        endAction: document.getElementById('option-end-action').value,
+        resetTime: document.getElementById('option-reset-time').checked,
+        repartition: document.getElementById('option-repartition').checked,
+        pitData: selectedPit,
+        nandErase: document.getElementById('option-nand-erase').checked,
+        tflash: document.getElementById('option-tflash').checked
+    });
+}
+
+/**
+ * Ask before options that destroy data; NAND Erase must be typed out
+ * @param {FlashOptions} options
+ * @param {number} deviceCount - Devices about to be flashed with them
+ * @returns {boolean} true to go ahead
+ */
+function confirmDestructiveOptions(options, deviceCount = 1) {
+    const devices = deviceCount > 1 ? `${deviceCount} devices` : 'the device';
+    
+    if (options.repartition &&
+        !confirm(`Re-Partition rewrites the partition table of ${devices}. Data will be lost, and a PIT that does not match the device can brick it.\n\nRe-partition?`)) {
+        return false;
+    }
+    
+    if (options.nandErase) {
+        const answer = prompt(`NAND Erase wipes ALL user data (apps, photos, accounts) on ${devices}. This cannot be undone.\n\n` +
+                              `Type ${NAND_ERASE_CONFIRMATION} to erase:`);
+        if (answer === null) {
+            return false;
+        }
+        if (answer.trim() !== NAND_ERASE_CONFIRMATION) {
+            showError(`NAND Erase not confirmed - type ${NAND_ERASE_CONFIRMATION} exactly to erase`);
+            return false;
+        }
+    }
+    
+    return true;
+}
+
+/**
+ * Show the PIT picker while Re-Partition is on
+ */
+function toggleRepartition(enabled) {
+    document.getElementById('pit-file-input').classList.toggle('hidden', !enabled);
+    if (enabled) {
+        log('Re-Partition enabled - the partition table will be rewritten', 'warning');
+    }
+}
+
+/**
+ * NAND Erase is confirmed when flashing; just flag it here
+ */
+function toggleNandErase(enabled) {
+    if (enabled) {
+        log('NAND Erase enabled - all user data will be wiped during the flash', 'warning');
+    }
+}
+
+/**
+ * Load a .pit file for Re-Partition
+ */
+async function handlePitSelect(event) {
+    const file = event.target.files[0];
+    selectedPit = null;
+    if (!file) {
+        return;
+    }
+    
+    try {
+        const data = new Uint8Array(await file.arrayBuffer());
+        const pit = new PitParser(false).parse(data);
+        selectedPit = data;
+        log(`PIT loaded: ${file.name} (${pit.entries.length} partitions)`, 'info');
+    } catch (error) {
+        event.target.value = '';
+        log(`Invalid PIT file ${file.name}: ${error.message}`, 'error');
+        showError(`Invalid PIT file: ${error.message}`);
+    }
+}
+
+/**
+ * Stop flashing at the next safe point (between partitions or sequences)
+ * The flash then closes the session and reports what was written
  */
 async function stopFlash() {
-    if (!isFlashing) return;
+    if (!isFlashing || !flashController) return;
     
-    if (confirm('Are you sure you want to stop? This may brick your device!')) {
-        log('User requested flash stop', 'warning');
-        // Note: Actual stopping would require more complex state management
-        // For now, just log the warning
-        showError('Flash stop requested - please wait for current operation to complete');
+    if (confirm('Stop flashing? The partition being written may be left incomplete, and the device stays in Download Mode.')) {
+        log('Stopping at the next safe point (after the current sequence)...', 'warning');
+        document.getElementById('stop-btn').disabled = true;
+        flashController.abort();
     }
 }
 
@@ -1888,16 +2341,279 @@ function setupDragAndDrop() {
     }, false);
 }
 
+/**
+ * Fill the Partition Backup list from the device PIT
+ */
+async function loadPartitionList() {
+    const btn = document.getElementById('read-partitions-btn');
+    btn.disabled = true;
+    
+    try {
+        const entries = await flasher.listPartitions();
+        showPartitionList(entries);
+        log(`Read ${entries.length} partitions from the device PIT`, 'info');
+    } catch (error) {
+        log(`Failed to read partitions: ${error.message}`, 'error');
+        showError(`Failed to read partitions: ${error.message}`, error);
+    } finally {
+        btn.disabled = !flasher.isConnected;
+    }
+}
+
+/**
+ * Render PIT entries into the partition select (empty list resets it)
+ */
+function showPartitionList(entries) {
+    const select = document.getElementById('backup-partition');
+    select.innerHTML = '';
+    
+    if (entries.length === 0) {
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = 'Read the device\'s partitions first';
+        select.appendChild(option);
+    }
+    
+    for (const entry of entries) {
+        const option = document.createElement('option');
+        option.value = entry.partitionName;
+        option.textContent = `${entry.partitionName} (ID ${entry.partitionId})`;
+        select.appendChild(option);
+    }
+    
+    // Preselect EFS, the partition most worth backing up
+    const efs = entries.find(entry => /^(sec_)?efs$/i.test(entry.partitionName));
+    if (efs) {
+        select.value = efs.partitionName;
+    }
+    
+    select.disabled = entries.length === 0;
+    document.getElementById('backup-btn').disabled = entries.length === 0;
+}
+
+/**
+ * Read the selected partition back into a file
+ * Streams to disk via the File System Access API, so a large partition never
+ * sits in memory; browsers without it cannot back up
+ */
+async function backupPartition() {
+    const partitionName = document.getElementById('backup-partition').value;
+    if (!partitionName || !flasher.isConnected) {
+        return;
+    }
+    
+    if (typeof window.showSaveFilePicker !== 'function') {
+        showError('Partition backup needs the File System Access API (desktop Chrome, Edge or Opera) to stream the image to disk');
+        return;
+    }
+    
+    let fileHandle;
+    try {
+        fileHandle = await window.showSaveFilePicker({
+            suggestedName: `${partitionName}.img`,
+            types: [{ description: 'Partition image', accept: { 'application/octet-stream': ['.img', '.bin'] } }]
+        });
+    } catch (error) {
+        // Picker dismissed
+        return;
+    }
+    
+    const backupBtn = document.getElementById('backup-btn');
+    backupBtn.disabled = true;
+    document.getElementById('flash-btn').disabled = true;
+    isFlashing = true;
+    updateProgress(0, `Reading ${partitionName}...`);
+    
+    try {
+        await flasher.dumpPartition(partitionName, fileHandle, (progress) => {
+            updateProgress(progress.percentage, `Reading ${formatProgress(progress)}`);
+        });
+        
+        updateProgress(100, `${partitionName} backed up`);
+    } catch (error) {
+        log(`Backup of ${partitionName} failed: ${error.message}`, 'error');
+        updateProgress(0, 'Backup failed');
+        showError(`Backup of ${partitionName} failed: ${error.message}`, error);
+    } finally {
+        isFlashing = false;
+        backupBtn.disabled = !flasher.isConnected;
+        document.getElementById('flash-btn').disabled = !(flasher.isConnected && currentFirmware);
+    }
+}
+
+/**
+ * Turn USB traffic capture on/off
+ * The recorder hooks the next connection so the trace starts at the handshake
+ */
+async function toggleUsbCapture(enabled) {
+    if (!flasher) return;
+    
+    if (!enabled) {
+        const records = await flasher.stopCapture();
+        log(`USB capture stopped (${records} transfers recorded)`, 'info');
+        return;
+    }
+    
+    if (await flasher.startCapture()) {
+        log('USB capture started mid-session - reconnect to capture from the handshake', 'warning');
+    } else {
+        log('USB capture armed - traffic is recorded from the next connection', 'info');
+    }
+    
+    document.getElementById('export-trace-json-btn').disabled = false;
+    document.getElementById('export-trace-pcapng-btn').disabled = false;
+}
+
+/**
+ * Download the captured USB traffic
+ * @param {string} format - 'json' (replayable) or 'pcapng' (Wireshark)
+ */
+async function exportUsbTrace(format) {
+    let blob;
+    try {
+        blob = await flasher.exportCapture(format);
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+    
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    saveBlob(blob, `pyodin-usb-${stamp}.${format === 'pcapng' ? 'pcapng' : 'json'}`);
+    
+    log(`Exported USB trace (${format}, ${formatBytes(blob.size)})`, 'success');
+}
+
+/**
+ * Load a JSON trace and connect to it instead of a device
+ * Flashing the same firmware then replays the captured session
+ */
+async function loadReplayTrace(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+        const trace = JSON.parse(await file.text());
+        if (trace.version !== USB_TRACE_VERSION || !Array.isArray(trace.records)) {
+            throw new Error('Not a PyOdin USB trace');
+        }
+        
+        if (flasher.isConnected) {
+            await flasher.disconnectDevice();
+        }
+        
+        log(`Replaying ${file.name}: ${trace.records.length} transfers captured ${trace.createdAt}`, 'info');
+        const deviceInfo = await flasher.connectReplay(trace);
+        showDeviceConnected(deviceInfo);
+        log('Replay connected - load the same firmware and start flashing to reproduce the session', 'success');
+    } catch (error) {
+        showError(`Failed to replay trace: ${error.message}`);
+    } finally {
+        event.target.value = '';
+    }
+}
+
+/**
+ * Stored size of a loaded item
+ */
+function firmwareItemSize(item) {
+    return item.data ? item.data.length : item.info.actualSize;
+}
+
+/**
+ * The loaded item benchmarks run on
+ */
+function largestFirmwareItem() {
+    return currentFirmware.items.reduce((a, b) => firmwareItemSize(b) > firmwareItemSize(a) ? b : a);
+}
+
+/**
+ * Time the largest loaded item through the transfer pipeline against a
+ * simulated device, serially and pipelined
+ */
+async function benchmarkTransfer() {
+    if (!currentFirmware || currentFirmware.items.length === 0) {
+        showError('Load a firmware first - the benchmark reads and decompresses its largest item');
+        return;
+    }
+    
+    const item = largestFirmwareItem();
+    const button = document.getElementById('benchmark-btn');
+    button.disabled = true;
+    
+    try {
+        log(`Benchmarking transfer of ${item.filename} (${formatBytes(firmwareItemSize(item))})...`, 'info');
+        const result = await new TransferBenchmark(document.getElementById('option-verbose').checked).run(item);
+        log(result.summary, 'success');
+    } catch (error) {
+        showError(`Benchmark failed: ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Show the saved transfer size overrides in the advanced settings
+ */
+function renderTransferSettings() {
+    const settings = TransferSettings.shared();
+    document.getElementById('option-file-part-size').value = String(settings.filePartSize || 0);
+    document.getElementById('option-sequence-size').value = String(settings.sequenceSize || 0);
+}
+
+/**
+ * Persist the advanced settings' sizes (used from the next connection)
+ */
+function saveTransferSettings() {
+    const filePartSize = parseInt(document.getElementById('option-file-part-size').value, 10);
+    const sequenceSize = parseInt(document.getElementById('option-sequence-size').value, 10);
+    
+    try {
+        TransferSettings.shared().set(filePartSize, sequenceSize);
+        log(`Transfer sizes: ${filePartSize ? formatBytes(filePartSize) : 'auto'} blocks, ` +
+            `${sequenceSize ? formatBytes(sequenceSize) : 'auto'} sequences - applied from the next connection`, 'info');
+    } catch (error) {
+        showError(error.message);
+        renderTransferSettings();
+    }
+}
+
+/**
+ * Time the largest loaded item with each block and sequence size against a
+ * simulated device and log the fastest as advice - nothing about the phone
+ * is measured, so the saved sizes are left alone
+ */
+async function tuneTransferSettings() {
+    if (!currentFirmware || currentFirmware.items.length === 0) {
+        showError('Load a firmware first - tuning reads and decompresses its largest item');
+        return;
+    }
+    
+    const item = largestFirmwareItem();
+    const button = document.getElementById('tune-transfer-btn');
+    button.disabled = true;
+    
+    try {
+        log(`Tuning transfer sizes on ${item.filename} (${formatBytes(firmwareItemSize(item))})...`, 'info');
+        const result = await new TransferBenchmark(document.getElementById('option-verbose').checked).tune(item, {
+            filePartSizes: [0x20000, 0x80000, 0x100000, 0x200000],
+            sequenceSizes: [MAX_SEQUENCE_SIZE, 2 * MAX_SEQUENCE_SIZE]
+        });
+        log(result.summary, 'info');
+        log(`Fastest on a simulated device: ${result.best.label}. Settings unchanged - ` +
+            `pick sizes by hand if your device is slow with the defaults`, 'info');
+    } catch (error) {
+        showError(`Tuning failed: ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+}
+
 /**
  * Update verbose mode
  */
 document.getElementById('option-verbose')?.addEventListener('change', (e) => {
     if (flasher) {
-        flasher.verbose = e.target.checked;
-        if (flasher.firmwareParser) flasher.firmwareParser.verbose = e.target.checked;
-        if (flasher.pitParser) flasher.pitParser.verbose = e.target.checked;
-        if (flasher.downloadEngine) flasher.downloadEngine.verbose = e.target.checked;
-        if (flasher.usbDevice) flasher.usbDevice.verbose = e.target.checked;
+        flasher.setVerbose(e.target.checked);
     }
 });
 
@@ -42,6 +42,72 @@ const OdinCommand = {
     RESPONSE_DATA: 0x02
 };
 
+// End-session (103) requests
+const EndSessionRequest = {
+    END_SESSION: 0x00,
+    REBOOT: 0x01,
+    REBOOT_TO_DOWNLOAD: 0x02
+};
+
+// What to do with the device once the files are written
+const EndAction = {
+    REBOOT: 'reboot',           // Reboot normally (103/1)
+    STAY: 'stay',               // Stay in Download Mode
+    DOWNLOAD: 'download'        // Reboot back into Download Mode (103/2)
+};
+
+// File transfer (102) requests; 5 and 6 carry an LZ4-compressed sequence
+// (the frame as stored in the firmware) that the device decompresses itself
+const FileTransferRequest = {
+    START: 0x00,
+    BEGIN: 0x02,
+    END: 0x03,
+    COMPRESSED_BEGIN: 0x05,
+    COMPRESSED_END: 0x06
+};
+
+// Largest sequence (bytes between a begin and its 102/3 or 102/6); transfer
+// profiles may raise it, up to the limit the settings panel accepts
+const MAX_SEQUENCE_SIZE = 0x1E00000;  // 30MB
+const MAX_SEQUENCE_SIZE_LIMIT = 0x6400000;  // 100MB (800 128KB blocks)
+
+// Data block size of devices that do not take a file part size (100/5)
+const DEFAULT_FILE_PART_SIZE = 0x20000;  // 128KB
+const MIN_FILE_PART_SIZE = 0x10000;  // 64KB, smallest the settings panel accepts
+
+// Pipelined transfer: file bytes read ahead of decompression, and whole
+// sequences prepared while the one before is on the wire (0 for no overlap)
+const READ_AHEAD_BYTES = 16 * 1024 * 1024;
+const READ_AHEAD_SEQUENCES = 1;
+
+// What TransferBenchmark simulates: a typical USB 2.0 Download Mode link,
+// and the device writing each finished sequence to its storage
+const BENCHMARK_LINK_SPEED = 40 * 1024 * 1024;
+const BENCHMARK_FLASH_SPEED = 80 * 1024 * 1024;
+const BENCHMARK_WRITE_LATENCY = 0.0005;  // Seconds each bulk transfer costs on top (host and device turnaround)
+
+// Bootloaders from this protocol version on take compressed sequences
+const COMPRESSED_DOWNLOAD_MIN_PROTOCOL = 3;
+
+// 102/3 destination field (Heimdall's EndFileTransferPacket): the phone or
+// the modem. T-Flash is not a destination - 100/8 redirects the whole session
+const TransferDestination = {
+    PHONE: 0x00,
+    MODEM: 0x01
+};
+
+// DUMP readback sub-commands, in the shape of the PIT readback (101/1, 101/2, 101/3):
+// begin (+ destination, device type, partition ID) answers with the partition
+// size, then numbered parts are requested until it is all read, then end
+const DumpRequest = {
+    BEGIN: OdinCommand.REQUEST_DUMP,
+    PART: 0x02,
+    END: 0x04
+};
+
+// Largest part the device sends per DUMP part request
+const DUMP_PART_SIZE = 128 * 1024;
+
 const OdinPacketType = {
     REQUEST: 0x00,
     DATA: 0x01,
@@ -53,17 +119,50 @@ const ODIN_PROTOCOL_VERSION = 4;
 const ODIN_MAGIC = new TextEncoder().encode("ODIN");
 const ODIN_PACKET_HEADER_SIZE = 8;
 
+// Device identity query sent before ODIN; the bootloader answers with
+// "@#MODEL=...;VER=...;SALES=...;#@" (older bootloaders do not answer)
+const DEVICE_INFO_QUERY = new TextEncoder().encode("DVIF");
+const DeviceInfoKey = {
+    MODEL: 'MODEL',
+    FIRMWARE: 'VER',
+    SALES_CODE: 'SALES',
+    DEVICE_ID: 'DID',
+    UNIQUE_ID: 'UN'
+};
+
 // Firmware file signatures
 const TAR_SIGNATURE = new Uint8Array([0x75, 0x73, 0x74, 0x61, 0x72]);  // "ustar"
 const GZIP_SIGNATURE = new Uint8Array([0x1F, 0x8B]);
 const LZ4_SIGNATURE = new Uint8Array([0x04, 0x22, 0x4D, 0x18]);
+const LZ4_MAX_FRAME_HEADER_SIZE = 19;  // Magic + frame descriptor with content size and dictionary ID
 const MD5_FILE_EXTENSION = ".md5";
 
+// Android sparse images (only expanded on the host when asked to)
+const SPARSE_MAGIC = 0xED26FF3A;
+const SPARSE_HEADER_SIZE = 28;
+const SparseChunkType = {
+    RAW: 0xCAC1,
+    FILL: 0xCAC2,
+    DONT_CARE: 0xCAC3,
+    CRC32: 0xCAC4
+};
+
 // PIT (Partition Information Table)
 const PIT_MAGIC = 0x12349876;
 const PIT_HEADER_SIZE = 28;
 const PIT_ENTRY_SIZE = 132;
 
+// PIT device types (PitEntry.deviceType); numBlocks counts 4KB blocks on UFS, 512-byte sectors otherwise
+const PitDeviceType = {
+    ONENAND: 0,
+    FILE: 1,
+    MMC: 2,
+    ALL: 3,
+    UFS: 8
+};
+const PIT_SECTOR_SIZE = 512;
+const PIT_UFS_BLOCK_SIZE = 4096;
+
 // Transfer modes
 const TransferMode = {
     NORMAL: 0x00,
@@ -86,6 +185,12 @@ const TIMEOUT_HANDSHAKE = 60;
 const TIMEOUT_TRANSFER = 60;
 const TIMEOUT_WRITE = 60;
 const TIMEOUT_READ = 60;
+const TIMEOUT_ZLP_PROBE = 1;
+const TIMEOUT_DEVICE_INFO = 2;
+const TIMEOUT_NAND_ERASE = 600;  // The device answers 100/7 only once the erase is done
+
+// Session recovery: attempts per rung of the transport's recovery ladder
+const RECOVERY_STEP_RETRIES = 2;
 
 // Buffer sizes
 const BUFFER_SIZE = 512 * 1024;  // 512KB
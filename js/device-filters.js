@@ -0,0 +1,159 @@
+/**
+ * Device filter registry
+ * VID/PID pairs accepted as "Download Mode" devices. The built-in Samsung
+ * PIDs (SAMSUNG_DOWNLOAD_MODE_PIDS) are always present; users can add
+ * engineering/carrier units the app does not know yet. Persisted in
+ * localStorage; used for the WebUSB chooser filters and the device list.
+ */
+
+const DEVICE_FILTERS_STORAGE_KEY = 'pyodin-device-filters';
+
+class DeviceFilter {
+    constructor(vendorId, productId, label = "", builtIn = false) {
+        this.vendorId = vendorId;
+        this.productId = productId;
+        this.label = label;
+        this.builtIn = builtIn;
+    }
+
+    matches(device) {
+        return device.vendorId === this.vendorId && device.productId === this.productId;
+    }
+
+    toString() {
+        const hex = (id) => `0x${id.toString(16).toUpperCase().padStart(4, '0')}`;
+        return `${hex(this.vendorId)}:${hex(this.productId)}${this.label ? ` (${this.label})` : ''}`;
+    }
+}
+
+class DeviceFilterRegistry {
+    /**
+     * @param {Storage} storage - Where user filters are kept (defaults to localStorage;
+     *                            without one the registry only lives in memory)
+     */
+    constructor(storage = null) {
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.builtIn = SAMSUNG_DOWNLOAD_MODE_PIDS.map(pid =>
+            new DeviceFilter(SAMSUNG_VENDOR_ID, pid, 'Samsung Download Mode', true)
+        );
+        this.custom = [];
+        this.load();
+    }
+
+    /**
+     * Registry shared by UsbDevice and the settings panel
+     */
+    static shared() {
+        if (!DeviceFilterRegistry.instance) {
+            DeviceFilterRegistry.instance = new DeviceFilterRegistry();
+        }
+        return DeviceFilterRegistry.instance;
+    }
+
+    /**
+     * All filters, built-in first
+     */
+    get filters() {
+        return [...this.builtIn, ...this.custom];
+    }
+
+    /**
+     * Filters in the form navigator.usb.requestDevice() takes
+     */
+    toUsbFilters() {
+        return this.filters.map(filter => ({
+            vendorId: filter.vendorId,
+            productId: filter.productId
+        }));
+    }
+
+    /**
+     * Is this (WebUSB) device one of ours?
+     */
+    matches(device) {
+        return this.filters.some(filter => filter.matches(device));
+    }
+
+    /**
+     * Filter matching a device, for its label
+     */
+    find(vendorId, productId) {
+        return this.filters.find(filter => filter.vendorId === vendorId && filter.productId === productId) || null;
+    }
+
+    /**
+     * Add a user filter
+     * @param {number|string} vendorId - Number or hex string ("04E8", "0x04E8")
+     * @param {number|string} productId - Number or hex string
+     * @param {string} label - Shown in the settings panel and device list
+     */
+    add(vendorId, productId, label = "") {
+        const vid = DeviceFilterRegistry.parseId(vendorId, 'vendor ID');
+        const pid = DeviceFilterRegistry.parseId(productId, 'product ID');
+
+        const existing = this.find(vid, pid);
+        if (existing) {
+            throw new Error(`${existing} is already registered`);
+        }
+
+        const filter = new DeviceFilter(vid, pid, label.trim());
+        this.custom.push(filter);
+        this.save();
+        return filter;
+    }
+
+    /**
+     * Remove a user filter (built-in ones stay)
+     */
+    remove(vendorId, productId) {
+        const index = this.custom.findIndex(filter => filter.vendorId === vendorId && filter.productId === productId);
+        if (index === -1) {
+            return false;
+        }
+
+        this.custom.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    load() {
+        this.custom = [];
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(this.storage.getItem(DEVICE_FILTERS_STORAGE_KEY) || '[]');
+            for (const entry of stored) {
+                if (Number.isInteger(entry.vendorId) && Number.isInteger(entry.productId) && !this.find(entry.vendorId, entry.productId)) {
+                    this.custom.push(new DeviceFilter(entry.vendorId, entry.productId, entry.label || ""));
+                }
+            }
+        } catch (error) {
+            log(`Ignoring unreadable device filters: ${error.message}`, 'warning');
+        }
+    }
+
+    save() {
+        if (!this.storage) {
+            return;
+        }
+
+        this.storage.setItem(DEVICE_FILTERS_STORAGE_KEY, JSON.stringify(this.custom.map(filter => ({
+            vendorId: filter.vendorId,
+            productId: filter.productId,
+            label: filter.label
+        }))));
+    }
+
+    /**
+     * Parse a 16-bit USB ID given as a number or hex string
+     */
+    static parseId(value, name) {
+        const id = typeof value === 'number' ? value : parseInt(String(value).trim().replace(/^0x/i, ''), 16);
+        if (!Number.isInteger(id) || id < 0 || id > 0xFFFF || (typeof value === 'string' && !/^(0x)?[0-9a-f]{1,4}$/i.test(value.trim()))) {
+            throw new Error(`Invalid ${name} '${value}' - expected 4 hex digits, e.g. 685D`);
+        }
+        return id;
+    }
+}
@@ -0,0 +1,391 @@
+/**
+ * Multi-device flashing slots
+ * Like desktop Odin's ID:COM boxes: every connected device gets a slot
+ * with its own flasher (a FlashWorkerClient, so each device has its own
+ * worker, or an in-page OdinFlasher as fallback), firmware, progress bar
+ * and log pane. Slots flash independently and in parallel.
+ */
+
+const SLOT_LOG_LIMIT = 200;
+
+const SlotState = {
+    CONNECTING: 'connecting',
+    READY: 'ready',
+    FLASHING: 'flashing',
+    DONE: 'done',
+    FAILED: 'failed',
+    DISCONNECTED: 'disconnected'
+};
+
+class DeviceSlot {
+    constructor(id, flasher) {
+        this.id = id;
+        this.flasher = flasher;
+        this.deviceInfo = null;
+        this.firmware = null;
+        this.firmwareName = "";
+        this.state = SlotState.CONNECTING;
+        this.progress = 0;
+        this.elements = null;
+    }
+
+    get label() {
+        const serial = this.deviceInfo && this.deviceInfo.serialNumber;
+        return `#${this.id}${serial ? ` ${serial}` : ''}`;
+    }
+
+    /**
+     * Is this USB device the one in the slot?
+     */
+    holds(device) {
+        return this.state !== SlotState.DISCONNECTED && isSameDeviceInfo(this.deviceInfo, device);
+    }
+}
+
+/**
+ * Same physical device? (the rule UsbDevice.isSameDevice uses)
+ */
+function isSameDeviceInfo(deviceInfo, device) {
+    if (!deviceInfo || !device || device.vendorId !== deviceInfo.vendorId) {
+        return false;
+    }
+    if (deviceInfo.serialNumber) {
+        return device.serialNumber === deviceInfo.serialNumber;
+    }
+    return device.productId === deviceInfo.productId;
+}
+
+class SlotManager {
+    /**
+     * @param {HTMLElement} container - Where slot panes are rendered
+     * @param {Object} options - { verbose, getFirmware: () => ({ firmware, name }), getOptions: () => FlashOptions,
+     *                             confirmOptions: (options, deviceCount) => boolean, asked before flashing,
+     *                             isInUse: (device) => boolean for devices held outside the slots }
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.verbose = options.verbose || false;
+        this.getFirmware = options.getFirmware || (() => ({ firmware: null, name: "" }));
+        this.getOptions = options.getOptions || (() => new FlashOptions());
+        this.confirmOptions = options.confirmOptions || (() => true);
+        this.isInUse = options.isInUse || (() => false);
+        this.slots = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Add a slot for a device
+     * @param {USBDevice} device - Authorized device, or null for the chooser
+     */
+    async addDevice(device = null) {
+        if (!device) {
+            const deviceInfo = await new UsbDevice(this.verbose).findDevice();
+            if (!deviceInfo) {
+                return null;
+            }
+            device = deviceInfo.device;
+        }
+
+        if (this.slots.some(slot => slot.holds(device)) || this.isInUse(device)) {
+            log(`Device ${device.serialNumber || device.productName} is already connected`, 'warning');
+            return null;
+        }
+
+        const flasher = await FlashWorkerClient.create(this.verbose) || new OdinFlasher(this.verbose);
+        const slot = new DeviceSlot(this.nextId++, flasher);
+        slot.deviceInfo = new DeviceInfo(device.vendorId, device.productId);
+        slot.deviceInfo.serialNumber = device.serialNumber || "";
+        slot.deviceInfo.product = device.productName || "";
+
+        this.slots.push(slot);
+        this.render(slot);
+
+        if (flasher instanceof FlashWorkerClient) {
+            flasher.onLog = (message, type) => this.slotLog(slot, message, type);
+        } else {
+            this.slotLog(slot, 'Workers unavailable - protocol log goes to the Activity Log', 'warning');
+        }
+
+        flasher.addEventListener('disconnect', (event) => {
+            const failed = event.detail.duringFlash;
+            // A done slot too, so it reconnects when the device is back in Download Mode
+            this.setState(slot, failed ? SlotState.FAILED : SlotState.DISCONNECTED);
+            this.slotLog(slot, failed ? 'Disconnected during flashing' : 'Disconnected', failed ? 'error' : 'warning');
+        });
+        flasher.addEventListener('reattach', (event) => {
+            if (slot.state === SlotState.DISCONNECTED) {
+                this.slotLog(slot, 'Back in Download Mode - reconnecting', 'info');
+                this.connect(slot, event.detail.device);
+            }
+        });
+
+        await this.connect(slot, device);
+        return slot;
+    }
+
+    /**
+     * Add every authorized device in Download Mode that has no slot yet
+     */
+    async addAllAuthorized() {
+        const devices = await UsbDevice.listDevices();
+        const added = [];
+
+        for (const deviceInfo of devices) {
+            if (!this.slots.some(slot => slot.holds(deviceInfo.device)) && !this.isInUse(deviceInfo.device)) {
+                added.push(this.addDevice(deviceInfo.device));
+            }
+        }
+
+        return (await Promise.all(added)).filter(Boolean);
+    }
+
+    async connect(slot, device) {
+        this.setState(slot, SlotState.CONNECTING);
+
+        try {
+            await slot.flasher.setTransferOverrides(TransferSettings.shared().overrides);
+            slot.deviceInfo = await slot.flasher.connectDevice(device);
+            this.setState(slot, SlotState.READY);
+            this.slotLog(slot, `Connected: ${slot.deviceInfo.modelName || slot.deviceInfo.product || 'Samsung Device'}`, 'success');
+        } catch (error) {
+            this.setState(slot, SlotState.FAILED);
+            this.slotLog(slot, `Connection failed: ${error.message}`, 'error');
+        }
+
+        this.updateHeader(slot);
+    }
+
+    /**
+     * Give a slot its own copy of the firmware currently loaded in Firmware
+     * Selection (in-page flashers would otherwise share the items' PIT matching)
+     */
+    assignFirmware(slot) {
+        const { firmware, name } = this.getFirmware();
+        if (!firmware) {
+            showError('Load firmware first, then assign it to the slot');
+            return;
+        }
+
+        slot.firmware = firmware.copy();
+        slot.firmwareName = name;
+        slot.elements.firmware.textContent = name;
+        slot.elements.firmware.title = name;
+        this.slotLog(slot, `Firmware assigned: ${name}`, 'info');
+    }
+
+    /**
+     * Flash one slot
+     * @param {FlashOptions} options - Already confirmed options (flashAll), or null to read and confirm them
+     */
+    async flash(slot, options = null) {
+        if (slot.state !== SlotState.READY || !slot.flasher.isConnected) {
+            this.slotLog(slot, 'Device is not connected', 'error');
+            return false;
+        }
+        if (!slot.firmware) {
+            this.assignFirmware(slot);
+            if (!slot.firmware) {
+                return false;
+            }
+        }
+        if (!options) {
+            options = this.getOptions();
+            if (!this.confirmOptions(options, 1)) {
+                return false;
+            }
+        }
+
+        this.setState(slot, SlotState.FLASHING);
+        this.setProgress(slot, 0, 'Starting...');
+        this.slotLog(slot, `Flashing ${slot.firmwareName}`, 'info');
+
+        try {
+            await slot.flasher.flash(slot.firmware, options, (progress) => {
+                // A status (NAND erase) has no byte count: keep the bar where it was
+                this.setProgress(slot, progress.status ? slot.progress : progress.overallPercentage, formatProgress(progress));
+            });
+            this.setProgress(slot, 100, 'Complete');
+            this.setState(slot, SlotState.DONE);
+            this.slotLog(slot, 'Flash complete', 'success');
+            log(`Slot ${slot.label}: flash complete`, 'success');
+            return true;
+        } catch (error) {
+            this.setState(slot, SlotState.FAILED);
+            this.slotLog(slot, `Flash failed: ${error.message}`, 'error');
+            if (error instanceof OdinProtocolError) {
+                this.slotLog(slot, error.explanation, 'warning');
+                error.remediation.forEach((step, i) => this.slotLog(slot, `${i + 1}. ${step}`, 'info'));
+            }
+            log(`Slot ${slot.label}: flash failed - ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Flash every ready slot at the same time
+     * @returns {Promise<Object>} { succeeded, failed }
+     */
+    async flashAll() {
+        const ready = this.slots.filter(slot => slot.state === SlotState.READY);
+        if (ready.length === 0) {
+            showError('No connected slots ready to flash');
+            return { succeeded: 0, failed: 0 };
+        }
+
+        const options = this.getOptions();
+        if (!this.confirmOptions(options, ready.length)) {
+            return { succeeded: 0, failed: 0 };
+        }
+
+        log(`Flashing ${ready.length} slot(s) in parallel...`, 'info');
+        const results = await Promise.all(ready.map(slot => this.flash(slot, options)));
+        const succeeded = results.filter(Boolean).length;
+
+        log(`Slots finished: ${succeeded} succeeded, ${results.length - succeeded} failed`,
+            succeeded === results.length ? 'success' : 'warning');
+        return { succeeded, failed: results.length - succeeded };
+    }
+
+    /**
+     * Disconnect and drop a slot
+     */
+    async remove(slot) {
+        if (slot.state === SlotState.FLASHING) {
+            showError(`Slot ${slot.label} is flashing`);
+            return;
+        }
+
+        try {
+            if (slot.flasher.isConnected) {
+                await slot.flasher.disconnectDevice();
+            }
+        } catch (error) {
+            log(`Slot ${slot.label}: ${error.message}`, 'warning');
+        }
+
+        if (slot.flasher instanceof FlashWorkerClient) {
+            slot.flasher.terminate();
+        }
+
+        this.slots = this.slots.filter(s => s !== slot);
+        slot.elements.root.remove();
+    }
+
+    get isFlashing() {
+        return this.slots.some(slot => slot.state === SlotState.FLASHING);
+    }
+
+    /**
+     * Is this device held by one of the slots?
+     */
+    holds(device) {
+        return this.slots.some(slot => slot.holds(device));
+    }
+
+    setState(slot, state) {
+        slot.state = state;
+        const status = slot.elements.status;
+        status.textContent = state;
+        status.className = `slot-status slot-status-${state}`;
+
+        slot.elements.flashBtn.disabled = state !== SlotState.READY;
+        slot.elements.removeBtn.disabled = state === SlotState.FLASHING;
+        slot.elements.assignBtn.disabled = state === SlotState.FLASHING;
+    }
+
+    setProgress(slot, percentage, message) {
+        slot.progress = percentage;
+        slot.elements.progressFill.style.width = `${percentage}%`;
+        slot.elements.progressFill.textContent = `${percentage.toFixed(1)}%`;
+        slot.elements.progressInfo.textContent = message;
+    }
+
+    /**
+     * Append to a slot's log pane
+     */
+    slotLog(slot, message, type = 'info') {
+        const pane = slot.elements.log;
+        const entry = document.createElement('div');
+        entry.className = `log-entry ${type}`;
+        entry.textContent = `[${new Date().toLocaleTimeString()}] ${message}`;
+        pane.appendChild(entry);
+
+        while (pane.children.length > SLOT_LOG_LIMIT) {
+            pane.removeChild(pane.firstChild);
+        }
+        pane.scrollTop = pane.scrollHeight;
+    }
+
+    updateHeader(slot) {
+        const info = slot.deviceInfo;
+        slot.elements.title.textContent = `${slot.label} - ${info.modelName || info.product || 'Samsung Device'}`;
+        slot.elements.title.title = info.firmwareVersion ? `Firmware: ${info.firmwareVersion}` : '';
+    }
+
+    /**
+     * Build a slot's pane
+     */
+    render(slot) {
+        const root = document.createElement('div');
+        root.className = 'device-slot';
+
+        const header = document.createElement('div');
+        header.className = 'device-slot-header';
+        const title = document.createElement('strong');
+        const status = document.createElement('span');
+        header.appendChild(title);
+        header.appendChild(status);
+
+        const firmwareRow = document.createElement('div');
+        firmwareRow.className = 'device-slot-firmware';
+        const firmware = document.createElement('span');
+        firmware.className = 'partition-file-name';
+        firmware.textContent = 'No firmware assigned';
+
+        const assignBtn = document.createElement('button');
+        assignBtn.className = 'btn btn-primary btn-small';
+        assignBtn.textContent = 'Use Loaded Firmware';
+        assignBtn.onclick = () => this.assignFirmware(slot);
+        firmwareRow.appendChild(firmware);
+        firmwareRow.appendChild(assignBtn);
+
+        const progressBar = document.createElement('div');
+        progressBar.className = 'progress-bar';
+        const progressFill = document.createElement('div');
+        progressFill.className = 'progress-fill';
+        progressFill.style.width = '0%';
+        progressFill.textContent = '0%';
+        progressBar.appendChild(progressFill);
+        const progressInfo = document.createElement('div');
+        progressInfo.className = 'progress-info';
+        progressInfo.textContent = 'Idle';
+
+        const logPane = document.createElement('div');
+        logPane.className = 'log-container device-slot-log';
+
+        const buttons = document.createElement('div');
+        buttons.className = 'button-group';
+        const flashBtn = document.createElement('button');
+        flashBtn.className = 'btn btn-success btn-small';
+        flashBtn.textContent = 'Flash';
+        flashBtn.onclick = () => this.flash(slot);
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-danger btn-small';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = () => this.remove(slot);
+        buttons.appendChild(flashBtn);
+        buttons.appendChild(removeBtn);
+
+        root.appendChild(header);
+        root.appendChild(firmwareRow);
+        root.appendChild(progressBar);
+        root.appendChild(progressInfo);
+        root.appendChild(logPane);
+        root.appendChild(buttons);
+        this.container.appendChild(root);
+
+        slot.elements = { root, title, status, firmware, assignBtn, progressFill, progressInfo, log: logPane, flashBtn, removeBtn };
+        this.updateHeader(slot);
+        this.setState(slot, slot.state);
+    }
+}
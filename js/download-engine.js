@@ -5,23 +5,50 @@
 
 class DownloadProgress {
     constructor() {
+        // Current partition (DownloadEngine.partitionOf, the name stop reports use)
         this.percentage = 0;
         this.currentFile = "";
         this.bytesTransferred = 0;
         this.totalBytes = 0;
-        this.speed = 0;
+        this.partitionElapsed = 0;  // seconds
+        
+        // Whole flash (see TransferStats)
+        this.overallPercentage = 0;
+        this.overallBytesTransferred = 0;
+        this.overallTotalBytes = 0;
+        this.speed = 0;             // rolling bytes/s
+        this.eta = null;            // seconds, null until known
+        this.usbTime = 0;           // seconds spent sending data blocks
+        this.flashWaitTime = 0;     // seconds waiting on 102/3 (device writing flash)
+        
+        // Steps without a byte count (NAND erase): what the device is doing
+        this.status = "";
     }
 }
 
+/**
+ * Odin protocol engine
+ * Talks to any Transport (see transport.js) - WebUSB, Node or in-memory
+ */
 class DownloadEngine {
-    constructor(usbDevice, verbose = false) {
-        this.usbDevice = usbDevice;
+    constructor(transport, verbose = false) {
+        this.transport = transport;
         this.verbose = verbose;
         this.packetSize = 1024;  // CRITICAL: Must be 1024 for command packets
-        this.fileTransferPacketSize = 131072;  // 128KB for data blocks (0x1E00000 max chunk = 30MB)
+        this.fileTransferPacketSize = DEFAULT_FILE_PART_SIZE;  // Data block size, see negotiateTransferProfile()
+        this.sequenceSize = MAX_SEQUENCE_SIZE;
+        this.transferProfile = null;
         this.protocolVersion = 0;
+        this.identity = null;  // DVIF answer, see requestDeviceIdentity()
+        this.compressedDownload = true;  // Off for devices that refused 102/5, see OdinFlasher.resumeDecompressed()
+        this.expandSparse = false;  // Bootloaders write sparse images themselves; see SparseExpandStream
+        this.readAheadBytes = READ_AHEAD_BYTES;  // Pipelining, see runPipeline()
+        this.readAheadSequences = READ_AHEAD_SEQUENCES;
         this.progressCallback = null;
         this.lastProgressUpdate = Date.now();
+        this.stats = null;  // TransferStats of the current flash
+        this.partitionsWritten = [];  // Partitions fully written by uploadBinaries()
+        this.partitionInProgress = null;  // Partition with some, but not all, sequences written
     }
     
     log(message) {
@@ -34,115 +61,472 @@ class DownloadEngine {
         this.progressCallback = callback;
     }
     
+    /**
+     * Start collecting TransferStats for a flash
+     * @param {number} totalBytes - Total announced in 100/2
+     */
+    startTransferStats(totalBytes) {
+        this.stats = new TransferStats(totalBytes, this.transport.timing || null);
+        return this.stats;
+    }
+    
+    /**
+     * Report progress for the current partition (at most every 500ms unless forced)
+     */
+    reportProgress(partition, bytesTransferred, totalBytes, force = false) {
+        const now = Date.now();
+        if (!this.progressCallback || (!force && now - this.lastProgressUpdate <= 500)) {
+            return;
+        }
+        this.lastProgressUpdate = now;
+        
+        const progress = new DownloadProgress();
+        progress.currentFile = partition;
+        progress.bytesTransferred = bytesTransferred;
+        progress.totalBytes = totalBytes;
+        progress.percentage = totalBytes > 0 ? (bytesTransferred / totalBytes) * 100 : 0;
+        
+        const stats = this.stats;
+        if (stats) {
+            progress.overallPercentage = stats.percentage;
+            progress.overallBytesTransferred = stats.bytesTransferred;
+            progress.overallTotalBytes = stats.expectedBytes;
+            progress.speed = stats.speed;
+            progress.eta = stats.eta;
+            progress.usbTime = stats.usbMs / 1000;
+            progress.flashWaitTime = stats.flashWaitMs / 1000;
+            if (stats.current) {
+                progress.partitionElapsed = (performance.now() - stats.current.startTime) / 1000;
+            }
+        }
+        
+        this.progressCallback(progress);
+    }
+    
+    /**
+     * Report a step that has no byte count (see DownloadProgress.status)
+     */
+    reportStatus(status) {
+        if (!this.progressCallback) {
+            return;
+        }
+        
+        const progress = new DownloadProgress();
+        progress.status = status;
+        this.progressCallback(progress);
+    }
+    
+    /**
+     * Can this session send LZ4 items as they are (102/5, 102/6)?
+     * Decided by the protocol version, unless compressedDownload was turned off.
+     * Only changes between sessions: 100/2 announces the sizes it implies.
+     */
+    get supportsCompressedDownload() {
+        return this.compressedDownload && this.protocolVersion >= COMPRESSED_DOWNLOAD_MIN_PROTOCOL;
+    }
+    
+    /**
+     * Will this item go to the device still LZ4-compressed?
+     */
+    sendsCompressed(item) {
+        const lz4 = item.info.compression_type === 'lz4' || item.filename.toLowerCase().endsWith('.lz4');
+        return !!item.info.is_compressed && lz4 && this.supportsCompressedDownload;
+    }
+    
+    /**
+     * Tag the traffic that follows with a protocol phase (see usb-trace.js)
+     */
+    setPhase(phase) {
+        this.transport.phase = phase;
+    }
+    
+    /**
+     * OdinProtocolError in the current phase
+     * @param {number} deviceCode - The device's result code, null if it gave none
+     * @param {string} partition - Partition (or file) being written
+     */
+    protocolError(message, command, subCommand = null, deviceCode = null, partition = null) {
+        return new OdinProtocolError(message, { phase: this.transport.phase, command, subCommand, deviceCode, partition });
+    }
+    
     /**
      * Initial handshake with device
      * Send "ODIN" and receive "LOKE" (4 bytes each)
      * From odin4.c line 12670
+     * @param {number} timeout - Seconds to wait for 'LOKE'
+     * @throws {OdinProtocolError} If the device does not answer 'LOKE'
      */
-    async handshake() {
+    async handshake(timeout = TIMEOUT_HANDSHAKE) {
         this.log("Performing handshake...");
+        this.setPhase('handshake');
         
-        try {
-            // Send "ODIN" (4 bytes literal string)
-            const odinBytes = new TextEncoder().encode("ODIN");
-            const written = await this.usbDevice.write(odinBytes);
-            
-            if (written !== 4) {
-                log(`Handshake: wrote ${written} bytes, expected 4`, 'error');
-                return false;
+        // Send "ODIN" (4 bytes literal string)
+        const odinBytes = new TextEncoder().encode("ODIN");
+        const written = await this.transport.write(odinBytes);
+        
+        if (written !== 4) {
+            throw this.protocolError(`Handshake: wrote ${written} bytes, expected 4`, 'ODIN');
+        }
+        
+        this.log("Sent 'ODIN', waiting for 'LOKE'...");
+        
+        // Receive response (expect "LOKE")
+        const resp = await this.transport.read(64, timeout);
+        
+        if (resp.length < 4) {
+            throw this.protocolError(`Handshake: received ${resp.length} bytes, expected 'LOKE'`, 'ODIN');
+        }
+        
+        // Check for "LOKE" (0x4C 0x4F 0x4B 0x45)
+        const responseStr = new TextDecoder().decode(resp.slice(0, 4));
+        this.log(`Received: '${responseStr}' (${resp[0]}, ${resp[1]}, ${resp[2]}, ${resp[3]})`);
+        
+        if (responseStr !== 'LOKE') {
+            throw this.protocolError(`Handshake failed: expected 'LOKE', got '${responseStr}'`, 'ODIN');
+        }
+        
+        this.log("✓ Handshake OK (received 'LOKE')");
+    }
+    
+    /**
+     * Handshake and protocol version request, with recovery
+     * 
+     * A device left mid-session by an aborted flash usually ignores the first
+     * ODIN. On failure, walk the transport's recovery ladder (clear halt,
+     * re-claim interface, reset): each rung is tried up to
+     * RECOVERY_STEP_RETRIES times, re-running ODIN/LOKE + 100/0 after each,
+     * before moving to the next one.
+     * 
+     * @returns {Object} { version, defaultPacketSize }
+     */
+    async openSession() {
+        const ladder = [null, ...this.transport.recoverySteps];
+        let lastError = null;
+        
+        // Like Odin, ask for the device's identity before ODIN
+        this.identity = await this.requestDeviceIdentity();
+        
+        for (const step of ladder) {
+            const attempts = step ? RECOVERY_STEP_RETRIES : 1;
+            
+            for (let attempt = 1; attempt <= attempts; attempt++) {
+                if (step) {
+                    log(`Recovery: ${step} (attempt ${attempt}/${attempts})`, 'warning');
+                    try {
+                        await this.transport.recover(step);
+                    } catch (error) {
+                        if (error instanceof UsbTransferError && error.code === UsbErrorCode.DISCONNECTED) {
+                            throw error;
+                        }
+                        log(`Recovery: ${step} failed: ${error.message}`, 'warning');
+                        lastError = error;
+                        continue;
+                    }
+                }
+                
+                try {
+                    const session = await this.startSession();
+                    if (step) {
+                        log(`Recovery: device answering again after ${step}`, 'success');
+                    }
+                    return session;
+                } catch (error) {
+                    if (error instanceof UsbTransferError && error.code === UsbErrorCode.DISCONNECTED) {
+                        throw error;
+                    }
+                    log(`Session setup failed: ${error.message}`, 'warning');
+                    lastError = error;
+                }
             }
-            
-            this.log("Sent 'ODIN', waiting for 'LOKE'...");
-            
-            // Receive response (expect "LOKE")
-            const resp = await this.usbDevice.read(64, TIMEOUT_HANDSHAKE);
-            
-            if (resp.length < 4) {
-                log(`Handshake: received ${resp.length} bytes, expected 4`, 'error');
-                return false;
+        }
+        
+        throw new OdinProtocolError(`Device did not respond after recovery: ${lastError ? lastError.message : 'no recovery available'}`,
+            { phase: 'handshake', command: lastError?.command ?? null, subCommand: lastError?.subCommand ?? null });
+    }
+    
+    /**
+     * One session setup attempt: ODIN/LOKE, ZLP probe, 100/0
+     */
+    async startSession() {
+        await this.handshake(TIMEOUT_CONNECT);
+        
+        // Probe ZLP support while the device is idle; the 100/0 exchange
+        // below confirms it is still in sync afterwards
+        if (typeof this.transport.detectZlpSupport === 'function') {
+            await this.transport.detectZlpSupport();
+        }
+        
+        return await this.requestProtocolVersion(TIMEOUT_CONNECT);
+    }
+    
+    /**
+     * Get protocol version (100/0/4)
+     * Response data: high 16 bits = protocol version, low 16 bits = the
+     * device's default packet size (0 if it does not take 100/5; only
+     * zero or nonzero is used, see TransferProfile)
+     * @param {number} timeout - Seconds to wait for the response
+     * @returns {Object} { version, defaultPacketSize }
+     */
+    async requestProtocolVersion(timeout = TIMEOUT_TRANSFER) {
+        this.setPhase('session-setup');
+        
+        const buf = new Uint8Array(1024);
+        buf.set(structPack('<III', 100, 0, 4), 0);
+        this.log(`Sending ${this.packetSize} byte packet...`);
+        await this.transport.write(buf.slice(0, this.packetSize));
+        
+        this.log(`Waiting for response (timeout: ${timeout}s)...`);
+        const resp = await this.transport.read(64, timeout);
+        
+        if (resp.length < 8) {
+            throw this.protocolError(`No valid response to protocol version request (got ${resp.length} bytes)`, 100, 0);
+        }
+        
+        this.log(`Received ${resp.length} bytes`);
+        const [cmd, data] = structUnpack('<II', resp);
+        this.log(`Response: cmd=${cmd}, data=0x${data.toString(16).padStart(8, '0')}`);
+        
+        if (cmd !== 100) {
+            throw this.protocolError(`Unexpected response to protocol version request: cmd=${cmd}`, 100, 0, data);
+        }
+        
+        const version = (data >> 16) & 0xFFFF;
+        const defaultPacketSize = data & 0xFFFF;
+        this.protocolVersion = version;
+        this.log(`✓ Protocol version: ${version}, default packet size: ${defaultPacketSize}`);
+        
+        return { version, defaultPacketSize };
+    }
+    
+    /**
+     * Agree on the data block and sequence sizes (100/5)
+     * Devices without a default packet size do not take 100/5 and keep
+     * DEFAULT_FILE_PART_SIZE blocks; a device that refuses the profile's
+     * file part size does too.
+     * @param {TransferProfile} profile - See TransferProfile.forProtocol()
+     * @param {number} defaultPacketSize - From the 100/0 reply
+     * @returns {TransferProfile} The sizes now in use
+     */
+    async negotiateTransferProfile(profile, defaultPacketSize) {
+        this.setPhase('session-setup');
+        
+        if (defaultPacketSize === 0) {
+            this.log("Device doesn't take a file part size (100/5)");
+            profile = new TransferProfile(profile.name, profile.minProtocol, DEFAULT_FILE_PART_SIZE, profile.sequenceSize);
+        } else {
+            this.log(`Sending file part size ${formatBytes(profile.filePartSize)} (100/5)...`);
+            const buf = new Uint8Array(1024);
+            buf.set(structPack('<III', 100, 5, profile.filePartSize), 0);
+            await this.transport.write(buf.slice(0, this.packetSize));
+            const resp = await this.transport.read(64, TIMEOUT_HANDSHAKE);
+            
+            const [, result] = resp.length >= 8 ? structUnpack('<II', resp) : [100, 0];
+            if (result !== 0) {
+                log(`Device refused a ${formatBytes(profile.filePartSize)} file part size (${result}) - ` +
+                    `using ${formatBytes(DEFAULT_FILE_PART_SIZE)} blocks`, 'warning');
+                profile = new TransferProfile(profile.name, profile.minProtocol, DEFAULT_FILE_PART_SIZE, profile.sequenceSize);
             }
+        }
+        
+        this.fileTransferPacketSize = profile.filePartSize;
+        this.sequenceSize = profile.sequenceSize;
+        this.transferProfile = profile;
+        this.log(`✓ Transfer profile: ${profile}`);
+        return profile;
+    }
+    
+    /**
+     * Ask the bootloader who it is (DVIF)
+     * The answer is a "@#KEY=VALUE;...#@" string. Bootloaders that do not
+     * know DVIF stay silent, so a timeout just means no identity; the read is
+     * a probe, cancelled without the clear-halt/reset a stuck device gets.
+     * @returns {Object|null} { KEY: value }, null if the device did not answer
+     */
+    async requestDeviceIdentity(timeout = TIMEOUT_DEVICE_INFO) {
+        this.setPhase('device-info');
+        this.log("Requesting device identity (DVIF)...");
+        
+        try {
+            await this.transport.write(DEVICE_INFO_QUERY);
+            const resp = await this.transport.read(1024, timeout, true);
+            const identity = DownloadEngine.parseDeviceIdentity(resp);
             
-            // Check for "LOKE" (0x4C 0x4F 0x4B 0x45)
-            const responseStr = new TextDecoder().decode(resp.slice(0, 4));
-            this.log(`Received: '${responseStr}' (${resp[0]}, ${resp[1]}, ${resp[2]}, ${resp[3]})`);
-            
-            if (resp[0] === 76 && resp[1] === 79 && resp[2] === 75 && resp[3] === 69) {
-                this.log("✓ Handshake OK (received 'LOKE')");
-                return true;
+            if (!identity) {
+                log(`Device identity: unexpected answer (${resp.length} bytes)`, 'warning');
+                return null;
             }
             
-            log(`Handshake failed: expected 'LOKE', got '${responseStr}'`, 'error');
-            return false;
+            this.log(`✓ Device identity: ${Object.keys(identity).length} fields`);
+            return identity;
             
         } catch (error) {
-            log(`Handshake failed: ${error.message}`, 'error');
-            return false;
+            if (error instanceof UsbTransferError && error.code === UsbErrorCode.DISCONNECTED) {
+                throw error;
+            }
+            this.log(`Device identity not available: ${error.message}`);
+            return null;
+        }
+    }
+    
+    /**
+     * Parse a DVIF answer: "@#MODEL=SM-G991B;VER=G991BXXU...;SALES=XAA;#@"
+     * @param {Uint8Array} data - Raw answer
+     * @returns {Object|null} { KEY: value }, null if it is not a DVIF answer
+     */
+    static parseDeviceIdentity(data) {
+        const text = new TextDecoder().decode(data).replace(/\0+$/, '').trim();
+        
+        if (!text.startsWith('@#') || !text.endsWith('#@')) {
+            return null;
+        }
+        
+        const identity = {};
+        for (const field of text.slice(2, -2).split(';')) {
+            const separator = field.indexOf('=');
+            if (separator > 0) {
+                identity[field.slice(0, separator).trim()] = field.slice(separator + 1).trim();
+            }
         }
+        
+        return identity;
     }
     
     /**
      * Get device information
+     * USB descriptor info, plus the DVIF identity when the device gave one
      */
     async getDeviceInfo() {
         this.log("Getting device info...");
         
-        // This would be implemented with specific Odin commands
-        // For now, return basic info from USB device
-        return this.usbDevice.deviceInfo;
+        const deviceInfo = this.transport.deviceInfo;
+        const identity = this.identity;
+        
+        if (identity) {
+            deviceInfo.identity = identity;
+            deviceInfo.modelName = identity[DeviceInfoKey.MODEL] || "";
+            deviceInfo.firmwareVersion = identity[DeviceInfoKey.FIRMWARE] || "";
+            deviceInfo.salesCode = identity[DeviceInfoKey.SALES_CODE] || "";
+            deviceInfo.deviceId = identity[DeviceInfoKey.DEVICE_ID] || "";
+            deviceInfo.uniqueId = identity[DeviceInfoKey.UNIQUE_ID] || "";
+        }
+        
+        return deviceInfo;
     }
     
     /**
-     * Send PIT info to device
-     * From odin4.c line 14405-14441
-     * 
-     * For protocol v2/v3, this is actually a no-op when there's no PIT data to send.
-     * The actual PIT exchange happens in receivePitData.
+     * T-Flash (100/8): write this session's files to the SD card
+     * Holds for the rest of the session, so 102/3 still names the phone as
+     * its destination; the device refuses it when it has no usable SD card
+     * or does not support T-Flash.
      */
-    async sendPitInfo() {
-        this.log("Sending PIT info...");
+    async enableTFlash() {
+        this.log("Enabling T-Flash (100/8)...");
+        this.setPhase('session-setup');
         
-        // From odin4.c line 14415: if no PIT data, just return success
-        // The command is only sent if we have PIT data to upload
-        // Since we're just retrieving the PIT from device, this is a no-op
+        const buf = new Uint8Array(1024);
+        buf.set(structPack('<II', 100, 8), 0);
+        await this.transport.write(buf.slice(0, this.packetSize));
         
-        this.log("✓ PIT info sent (no-op without PIT data)");
-        return true;
+        const resp = await this.transport.read(64, TIMEOUT_TRANSFER);
+        if (resp.length < 8) {
+            throw this.protocolError(`No valid response to T-Flash request (got ${resp.length} bytes)`, 100, 8);
+        }
+        
+        const [cmd, result] = structUnpack('<II', resp);
+        if (cmd !== 100 || result !== 0) {
+            throw this.protocolError(`Device rejected T-Flash (cmd=${cmd}, result=${result}) - check that an SD card is inserted and that the bootloader supports T-Flash`, 100, 8, result);
+        }
+        
+        log("✓ T-Flash enabled - files will be written to the SD card", 'info');
     }
     
     /**
-     * Send PIT data to device
+     * NAND Erase (100/7): wipe the user data area, like odin4 -e
+     * The device only answers once the erase is done, which can take
+     * minutes; elapsed time is reported every second while waiting.
+     * @param {number} timeout - Seconds to wait for the erase to finish
      */
-    async sendPitData(pitData) {
-        this.log(`Sending PIT data (${pitData.length} bytes)...`);
+    async eraseNand(timeout = TIMEOUT_NAND_ERASE) {
+        log("Erasing NAND (user data)...", 'warning');
+        this.setPhase('nand-erase');
+        
+        const buf = new Uint8Array(1024);
+        buf.set(structPack('<II', 100, 7), 0);
+        await this.transport.write(buf.slice(0, this.packetSize));
         
+        const started = performance.now();
+        const elapsed = () => formatDuration((performance.now() - started) / 1000);
+        this.reportStatus('Erasing NAND...');
+        const ticker = setInterval(() => this.reportStatus(`Erasing NAND... ${elapsed()}`), 1000);
+        
+        let resp;
         try {
-            // Send PIT data in chunks
-            const chunkSize = 0x100000;  // 1MB chunks
-            let offset = 0;
-            
-            while (offset < pitData.length) {
-                const end = Math.min(offset + chunkSize, pitData.length);
-                const chunk = pitData.slice(offset, end);
-                
-                await this.usbDevice.write(chunk);
-                offset = end;
-                
-                this.log(`  Sent ${offset}/${pitData.length} bytes`);
-            }
-            
-            // Wait for confirmation
-            const resp = await this.usbDevice.read(64, TIMEOUT_TRANSFER);
-            
-            if (resp.length >= 8) {
-                const [cmd, result] = structUnpack('<II', resp);
-                return result === 0;
-            }
-            
-            return true;
-        } catch (error) {
-            log(`sendPitData failed: ${error.message}`, 'error');
-            return false;
+            resp = await this.transport.read(64, timeout);
+        } finally {
+            clearInterval(ticker);
+        }
+        
+        if (resp.length < 8) {
+            throw this.protocolError(`No valid response to NAND erase (got ${resp.length} bytes)`, 100, 7);
         }
+        
+        const [cmd, result] = structUnpack('<II', resp);
+        if (cmd !== 100 || result !== 0) {
+            throw this.protocolError(`Device rejected NAND erase: cmd=${cmd}, result=${result}`, 100, 7, result);
+        }
+        
+        log(`✓ NAND erased in ${elapsed()}`, 'success');
+    }
+    
+    /**
+     * Upload a PIT to the device (re-partition)
+     * 101/0 starts the PIT flash, 101/2 announces the size, the PIT itself
+     * follows as one transfer, and 101/3 ends it; every step must be acked
+     * @param {Uint8Array} pitData - Serialized PIT (see PitParser.serialize)
+     */
+    async sendPitData(pitData) {
+        this.log(`Uploading PIT (${pitData.length} bytes)...`);
+        this.setPhase('pit-upload');
+        
+        await this.pitCommand(0, 0, "PIT upload request");
+        await this.pitCommand(2, pitData.length, "PIT size");
+        
+        // Size was announced, so no ZLP even when packet-aligned
+        await this.transport.write(pitData);
+        this.checkPitResponse(await this.transport.read(64, TIMEOUT_TRANSFER), "PIT data", null);
+        
+        await this.pitCommand(3, pitData.length, "PIT transfer end");
+        
+        this.log("✓ PIT uploaded");
+        return true;
+    }
+    
+    /**
+     * Send a 101/<sub> command and check the device accepted it
+     */
+    async pitCommand(sub, param, step) {
+        const buf = new Uint8Array(1024);
+        buf.set(structPack('<III', 101, sub, param), 0);
+        await this.transport.write(buf.slice(0, this.packetSize));
+        this.checkPitResponse(await this.transport.read(64, TIMEOUT_TRANSFER), step, sub);
+    }
+    
+    /**
+     * @param {number} sub - The 101 sub-command answered (null for the PIT data itself)
+     */
+    checkPitResponse(resp, step, sub) {
+        if (resp.length < 8) {
+            throw this.protocolError(`${step}: no response from device`, 101, sub);
+        }
+        
+        const [cmd, result] = structUnpack('<II', resp);
+        if (cmd === 0xFFFFFFFF) {
+            throw this.protocolError(`${step} rejected by device (code=${result})`, 101, sub, result);
+        }
+        if (cmd !== 101) {
+            throw this.protocolError(`${step}: unexpected response cmd=${cmd}`, 101, sub);
+        }
+        this.log(`  ${step}: accepted`);
     }
     
     /**
@@ -152,31 +536,41 @@ class DownloadEngine {
      */
     async receivePitData() {
         this.log("Requesting PIT from device...");
+        this.setPhase('pit-download');
         
         try {
             // Step 1: Get PIT size using command 101/1
             const buf = new Uint8Array(1024);
             buf.set(structPack('<III', 101, 1, 0), 0);
             
-            await this.usbDevice.write(buf.slice(0, this.packetSize));
+            await this.transport.write(buf.slice(0, this.packetSize));
             
-            // Read response with retry
+            // Read response with retry (a timed-out read is cancelled, so a
+            // retry cannot lose the response to a stale transfer)
             let resp = null;
             for (let retry = 0; retry < 2; retry++) {
-                resp = await this.usbDevice.read(64, 60);
+                try {
+                    resp = await this.transport.read(64, 60);
+                } catch (error) {
+                    if (!(error instanceof UsbTransferError) || !error.isTimeout || error.pending || retry === 1) {
+                        throw error;
+                    }
+                    this.log(`PIT size request timed out, retrying...`);
+                    continue;
+                }
                 if (resp && resp.length >= 8) {
                     break;
                 }
             }
             
             if (!resp || resp.length < 8) {
-                throw new Error("PIT request timeout");
+                throw this.protocolError("PIT request timeout", 101, 1);
             }
             
             const [respCmd, respData] = structUnpack('<II', resp);
             
             if (respCmd !== 101) {
-                throw new Error(`PIT cmd=${respCmd}, expected 101`);
+                throw this.protocolError(`PIT cmd=${respCmd}, expected 101`, 101, 1, respData);
             }
             
             const pitSize = respData;
@@ -184,7 +578,7 @@ class DownloadEngine {
             
             // Sanity check
             if (pitSize === 0 || pitSize > 0x100000) {
-                throw new Error(`Invalid PIT size: ${pitSize}`);
+                throw this.protocolError(`Invalid PIT size: ${pitSize}`, 101, 1);
             }
             
             // Step 2: Read PIT in 500-byte chunks (from odin4.c line 14552-14568)
@@ -196,11 +590,11 @@ class DownloadEngine {
                 // Send read request: 101/2/counter
                 buf.fill(0);
                 buf.set(structPack('<III', 101, 2, counter), 0);
-                await this.usbDevice.write(buf.slice(0, this.packetSize));
+                await this.transport.write(buf.slice(0, this.packetSize));
                 
                 // Read chunk (max 500 bytes per chunk)
                 const readSize = Math.min(500, remaining);
-                const chunk = await this.usbDevice.read(readSize, 60);
+                const chunk = await this.transport.read(readSize, 60);
                 
                 if (chunk.length === 0) {
                     break;
@@ -218,8 +612,8 @@ class DownloadEngine {
             // Step 3: Finalize (command 101/3)
             buf.fill(0);
             buf.set(structPack('<III', 101, 3, 0), 0);
-            await this.usbDevice.write(buf.slice(0, this.packetSize));
-            await this.usbDevice.read(64, 60);
+            await this.transport.write(buf.slice(0, this.packetSize));
+            await this.transport.read(64, 60);
             
             // Concatenate all chunks
             const finalPitData = concatUint8Arrays(...pitData);
@@ -238,16 +632,110 @@ class DownloadEngine {
     }
     
     /**
-     * Upload firmware binaries to device
-     * EXACT implementation from PyOdin download_engine.py
+     * Read a partition back from the device (DUMP)
+     * Parts are handed to `onChunk` as they arrive, so nothing is held in memory
+     * @param {PitEntry} entry - Partition to read
+     * @param {Function} onChunk - async (Uint8Array) => void
+     * @returns {Promise<number>} Bytes read
      */
-    async uploadBinaries(firmwareData, pitData) {
-        this.log(`Uploading ${firmwareData.items.length} items...`);
+    async dumpPartition(entry, onChunk) {
+        this.log(`Dumping ${entry.partitionName} (ID=${entry.partitionId}, type=${entry.deviceType})...`);
+        this.setPhase(`dump:${entry.partitionName}`);
         
-        // CRITICAL: Match to PIT BEFORE transfers (like PyOdin line 684-759)
+        const buf = new Uint8Array(1024);
+        buf.set(structPack('<IIIII', OdinCommand.DUMP, DumpRequest.BEGIN, TransferDestination.PHONE, entry.deviceType, entry.partitionId), 0);
+        await this.transport.write(buf.slice(0, this.packetSize));
+        
+        const resp = await this.transport.read(64, TIMEOUT_TRANSFER);
+        if (resp.length < 8) {
+            throw this.protocolError("No response to dump request", OdinCommand.DUMP, DumpRequest.BEGIN, null, entry.partitionName);
+        }
+        
+        const [respCmd, size] = structUnpack('<II', resp);
+        if (respCmd === 0xFFFFFFFF) {
+            throw this.protocolError(`Bootloader refused to dump ${entry.partitionName} (code=${size}) - readback may not be supported on this device`,
+                OdinCommand.DUMP, DumpRequest.BEGIN, size, entry.partitionName);
+        }
+        if (respCmd !== OdinCommand.DUMP) {
+            throw this.protocolError(`Dump request rejected: cmd=${respCmd}`, OdinCommand.DUMP, DumpRequest.BEGIN, size, entry.partitionName);
+        }
+        if (size === 0) {
+            throw this.protocolError(`Device reports ${entry.partitionName} as empty`, OdinCommand.DUMP, DumpRequest.BEGIN, null, entry.partitionName);
+        }
+        this.log(`  Partition size: ${formatBytes(size)}`);
+        
+        this.startTransferStats(size);
+        this.stats.startPartition(entry.partitionName, size);
+        
+        let received = 0;
+        let part = 0;
+        
+        while (received < size) {
+            const partStart = performance.now();
+            buf.fill(0);
+            buf.set(structPack('<III', OdinCommand.DUMP, DumpRequest.PART, part), 0);
+            await this.transport.write(buf.slice(0, this.packetSize));
+            
+            const chunk = await this.transport.read(Math.min(DUMP_PART_SIZE, size - received), TIMEOUT_TRANSFER);
+            if (chunk.length === 0) {
+                throw this.protocolError(`Device stopped sending at ${formatBytes(received)} of ${formatBytes(size)}`,
+                    OdinCommand.DUMP, DumpRequest.PART, null, entry.partitionName);
+            }
+            this.stats.addBlock(chunk.length, performance.now() - partStart);
+            
+            await onChunk(chunk);
+            received += chunk.length;
+            part++;
+            
+            this.reportProgress(entry.partitionName, received, size);
+        }
+        
+        buf.fill(0);
+        buf.set(structPack('<III', OdinCommand.DUMP, DumpRequest.END, 0), 0);
+        await this.transport.write(buf.slice(0, this.packetSize));
+        await this.transport.read(64, TIMEOUT_TRANSFER);
+        
+        this.stats.endPartition();
+        this.reportProgress(entry.partitionName, received, size, true);
+        this.log(`✓ Dumped ${entry.partitionName}: ${formatBytes(received)} in ${part} parts`);
+        return received;
+    }
+    
+    /**
+     * Partition an item is written to, for messages (its file name until matched to the PIT)
+     */
+    static partitionOf(item) {
+        return item.info.partition_name || item.filename;
+    }
+    
+    /**
+     * Why uploadBinaries() leaves an item out, null if it sends it
+     */
+    static skipReason(item) {
+        if (!item.data && !item.info.isLargeFile) {
+            return 'no data available';
+        }
+        if (item.data && item.data.length === 0) {
+            return 'empty file';
+        }
+        if (item.filename.includes('meta-data/') || item.filename.endsWith('.zip')) {
+            return 'metadata';
+        }
+        return null;
+    }
+    
+    /**
+     * Give every item its partition ID and device type (like PyOdin line 684-759)
+     * Runs before the session changes anything on the device (measureItem() must
+     * have run, so images can be checked against their partitions).
+     * @param {Uint8Array} pitData - PIT to match against, null to go by file names
+     * @throws {OdinProtocolError} If an image is larger than its partition
+     */
+    matchPartitions(firmwareData, pitData) {
         if (pitData) {
             const pitParser = new PitParser(this.verbose);
             const pit = pitParser.parse(pitData);
+            const oversized = [];
             
             for (const item of firmwareData.items) {
                 const fname = item.filename.toLowerCase();
@@ -265,8 +753,16 @@ class DownloadEngine {
                         fnameBase.replace('-', '_') === partName.replace('-', '_')) {
                         item.info.partition_id = entry.partitionId;
                         item.info.device_type = entry.deviceType;
+                        item.info.partition_name = entry.partitionName;
                         this.log(`  Matched: ${item.filename} → ${entry.partitionName} (ID=${entry.partitionId}, type=${entry.deviceType})`);
                         matched = true;
+                        
+                        if (item.sizes && entry.partitionSize > 0 && item.sizes.imageSize > entry.partitionSize) {
+                            oversized.push({
+                                partition: entry.partitionName,
+                                text: `${item.filename} (${formatBytes(item.sizes.imageSize)}) > ${entry.partitionName} (${formatBytes(entry.partitionSize)})`
+                            });
+                        }
                         break;
                     }
                 }
@@ -278,6 +774,12 @@ class DownloadEngine {
                     this.log(`    Using defaults: ID=${item.info.partition_id}, type=${item.info.device_type}`);
                 }
             }
+            
+            if (oversized.length > 0) {
+                this.setPhase('partition-check');
+                throw this.protocolError(`Image larger than its partition: ${oversized.map(o => o.text).join(', ')}`,
+                    null, null, null, oversized[0].partition);
+            }
         } else {
             // No PIT - use filename-based detection (PyOdin line 720-758)
             this.log("  No PIT - detecting partitions from filenames...");
@@ -303,599 +805,418 @@ class DownloadEngine {
                 this.log(`  ${item.filename} → ID=${item.info.partition_id}, type=${item.info.device_type}`);
             }
         }
+    }
+    
+    /**
+     * Upload firmware binaries to device (matchPartitions() must have run)
+     * EXACT implementation from PyOdin download_engine.py
+     * @param {AbortSignal} signal - Stops the upload at the next safe point: before a
+     *                               partition or between two of its sequences. The
+     *                               upload then rejects with the signal's reason;
+     *                               partitionsWritten and partitionInProgress say how far it got.
+     * @param {boolean} resume - Keep partitionsWritten and leave those partitions out
+     */
+    async uploadBinaries(firmwareData, signal = null, resume = false) {
+        if (!resume) {
+            this.partitionsWritten = [];
+        }
+        this.partitionInProgress = null;
+        
+        this.log(`Uploading ${firmwareData.items.length} items...`);
+        
+        if (!this.stats) {
+            this.startTransferStats(0);
+        }
         
         // Now transfer each file
         for (let i = 0; i < firmwareData.items.length; i++) {
             const item = firmwareData.items[i];
             
-            // Skip items with neither data nor file handle
-            if (!item.data && !item.info.isLargeFile) {
-                this.log(`Skipping ${item.filename} - no data available`);
+            const skip = DownloadEngine.skipReason(item);
+            if (skip) {
+                this.log(`Skipping ${item.filename} - ${skip}`);
                 continue;
             }
-            
-            // Skip if it's an empty file
-            if (item.data && item.data.length === 0) {
-                this.log(`Skipping ${item.filename} - empty file`);
+            if (this.partitionsWritten.includes(DownloadEngine.partitionOf(item))) {
                 continue;
             }
             
-            // Skip meta-data files
-            if (item.filename.includes('meta-data/') || item.filename.endsWith('.zip')) {
-                this.log(`Skipping ${item.filename} - metadata`);
-                continue;
-            }
+            // Safe point: between partitions
+            signal?.throwIfAborted();
             
             this.log(`\n>>> Processing item ${i + 1}/${firmwareData.items.length}: ${item.filename}`);
             
             // Transfer the file using the exact Python protocol
-            const success = await this.transferFile(item);
-            if (!success) {
-                throw new Error(`Failed to transfer ${item.filename}`);
-            }
+            await this.transferFile(item, signal);
             
+            this.partitionsWritten.push(DownloadEngine.partitionOf(item));
+            this.partitionInProgress = null;
+            this.stats.endPartition();
             this.log(`✓ Completed ${item.filename}`);
         }
         
         this.log("All binaries uploaded successfully");
-        return true;
     }
     
     /**
      * Transfer single file to device
      * From odin4.c line 14762 and download_engine.py line 446
+     * Every item goes through the same pipeline (see transfer-pipeline.js):
+     * source → decompression → SequenceChunker → sequenceSink()
+     * @param {AbortSignal} signal - Checked before every sequence
      */
-    async transferFile(item) {
+    async transferFile(item, signal = null) {
         this.log(`==== Transferring: ${item.filename} ====`);
+        this.setPhase(`transfer:${item.filename}`);
         this.log(`  Partition ID: ${item.info.partition_id}, Device type: ${item.info.device_type}`);
-        this.log(`  item.data: ${item.data ? 'present' : 'null'}`);
-        this.log(`  item.info.isLargeFile: ${item.info.isLargeFile}`);
-        this.log(`  item.info.is_compressed: ${item.info.is_compressed}`);
-        this.log(`  item.info.compression_type: ${item.info.compression_type}`);
-        
-        // Get file data (extract from TAR on-demand if needed)
-        let data;
-        let fileSize;
-        
-        if (item.data) {
-            // Data already loaded
-            this.log(`  Using pre-loaded data: ${formatBytes(item.data.length)}`);
-            data = item.data;
-            fileSize = item.data.length;
-        } else if (item.info.isLargeFile && item.info.fileHandle && item.info.fileOffset !== undefined) {
-            // Extract file from TAR on-demand
-            if (item.info.is_compressed) {
-                // Compressed file
-                this.log(`  Compressed file: ${item.filename}`);
-                this.log(`    Offset: ${item.info.fileOffset}, Compressed size: ${formatBytes(item.info.actualSize)}`);
-                
-                if (item.info.actualSize > 4 * 1024 * 1024 * 1024) {
-                    // File > 4GB - use STREAMING decompression!
-                    this.log(`  File exceeds 4GB - using streaming decompression mode`);
-                    this.log(`  Will decompress and send in chunks (never load full file into memory)`);
-                    
-                    // Set up for streaming - data=null means streaming mode
-                    data = null;
-                    fileSize = item.info.actualSize;  // We'll determine actual size during decompression
-                    
-                } else {
-                    // File < 4GB - extract normally
-                    this.log(`  Extracting compressed file from TAR`);
-                    const fileBlob = item.info.fileHandle.slice(item.info.fileOffset, item.info.fileOffset + item.info.actualSize);
-                    const fileBuffer = await fileBlob.arrayBuffer();
-                    data = new Uint8Array(fileBuffer);
-                    fileSize = data.length;
-                    this.log(`  ✓ Extracted ${formatBytes(data.length)} (will decompress next)`);
-                }
-                
-            } else {
-                // Uncompressed file - can stream it
-                this.log(`  Large uncompressed file - streaming mode`);
-                this.log(`    Offset: ${item.info.fileOffset}, Size: ${formatBytes(item.info.actualSize)}`);
-                data = null;
-                fileSize = item.info.actualSize;
-            }
-        } else {
-            this.log(`  ERROR: No data source available!`, 'error');
-            this.log(`    item.data: ${item.data}`);
-            this.log(`    item.info.isLargeFile: ${item.info.isLargeFile}`);
-            this.log(`    item.info.fileHandle: ${!!item.info.fileHandle}`);
-            this.log(`    item.info.fileOffset: ${item.info.fileOffset}`);
+        this.log(`  Source: ${item.data ? 'pre-loaded' : 'file'}, compression: ${this.compressionOf(item)}`);
+        
+        if (!item.data && !(item.info.fileHandle && item.info.fileOffset !== undefined)) {
             throw new Error(`No data available for ${item.filename}`);
         }
         
-        // Handle compression
-        let isStreamingCompressed = false;
+        try {
+            // Newer bootloaders decompress LZ4 themselves. A refusal is not
+            // caught here: 100/2 announced the compressed size, so falling back
+            // to host decompression takes a new session (OdinFlasher.resumeDecompressed)
+            await this.runPipeline(item, this.sendsCompressed(item), signal);
+        } catch (error) {
+            this.log(`ERROR transferring ${item.filename}: ${error.message}`);
+            throw error;
+        }
+    }
+    
+    /**
+     * How the item is compressed: 'lz4', 'gzip' or 'none'
+     */
+    compressionOf(item) {
+        if (!item.info.is_compressed) {
+            return 'none';
+        }
         
-        if (item.info.is_compressed) {
-            // Detect compression type
-            let compressionType = item.info.compression_type;
-            if (compressionType === 'none' || !compressionType) {
-                if (item.filename.endsWith('.lz4')) {
-                    compressionType = 'lz4';
-                } else if (item.filename.endsWith('.gz')) {
-                    compressionType = 'gzip';
-                }
-            }
-            
-            if (data) {
-                // Have compressed data in memory - decompress it
-                this.log(`  Decompressing (${compressionType})...`);
-                const compressedSize = data.length;
-                
-                if (compressionType === 'gzip') {
-                    if (typeof pako === 'undefined') {
-                        throw new Error('pako library required for GZIP decompression');
-                    }
-                    data = pako.inflate(data);
-                    this.log(`  ✓ Decompressed GZIP: ${formatBytes(compressedSize)} → ${formatBytes(data.length)}`);
-                    
-                } else if (compressionType === 'lz4') {
-                    if (typeof lz4 === 'undefined' || typeof lz4.decode !== 'function') {
-                        throw new Error('LZ4 library not loaded');
-                    }
-                    
-                    const decompressed = lz4.decode(data);
-                    if (!decompressed || decompressed.length === 0) {
-                        throw new Error('LZ4 decompression returned empty data');
-                    }
-                    data = decompressed instanceof Uint8Array ? decompressed : new Uint8Array(decompressed);
-                    this.log(`  ✓ Decompressed LZ4: ${formatBytes(compressedSize)} → ${formatBytes(data.length)}`);
-                }
-                
-                fileSize = data.length;
-                
-            } else {
-                // Streaming compressed mode - decompress on the fly
-                this.log(`  Setup: Streaming LZ4 decompression (file too large to load at once)`);
-                isStreamingCompressed = true;
-                // fileSize stays as compressed size for now, we'll get actual size during decompression
-            }
+        const type = item.info.compression_type;
+        if (type === 'lz4' || type === 'gzip') {
+            return type;
         }
         
-        // Get partition info (needed for both streaming and normal modes)
-        const partitionId = item.info.partition_id || 0;
-        const deviceType = item.info.device_type || 2;
+        const filename = item.filename.toLowerCase();
+        if (filename.endsWith('.lz4')) {
+            return 'lz4';
+        } else if (filename.endsWith('.gz')) {
+            return 'gzip';
+        }
+        return 'none';
+    }
+    
+    /**
+     * Exact sizes of an item, scanned once (see SizeScanner)
+     * @returns {Promise<ItemSizes>}
+     */
+    async measureItem(item) {
+        if (!item.sizes) {
+            item.sizes = await new SizeScanner(this.verbose).scan(item, this.compressionOf(item));
+        }
+        return item.sizes;
+    }
+    
+    /**
+     * Bytes an item puts on the cable (measureItem() must have run)
+     * @param {boolean} compressed - Sent as stored, for the device to decompress
+     */
+    transferSizeOf(item, compressed = this.sendsCompressed(item)) {
+        const sizes = item.sizes;
+        if (compressed) {
+            return sizes.storedSize;
+        }
+        return this.expandSparse ? sizes.imageSize : sizes.decodedSize;
+    }
+    
+    /**
+     * Activate file transfer (102/0)
+     */
+    async activateFileTransfer() {
+        this.log(`  Activating file transfer (102/0)...`);
+        const buf = new Uint8Array(1024);
+        buf.set(structPack('<III', 102, FileTransferRequest.START, 0), 0);
+        await this.transport.write(buf.slice(0, this.packetSize));
         
-        // For streaming compressed - use streaming decoder
-        if (isStreamingCompressed) {
-            this.log(`  Using TRUE STREAMING decompression (block-by-block)`);
-            this.log(`  This processes the file in small blocks without loading everything into memory`);
-            
-            // Handle it with special streaming transfer function
-            item.info.useStreamingLZ4 = true;
-            this.log(`  Streaming mode enabled for ${item.filename}`);
-            
-            return await this.transferFileStreamingLZ4(item, partitionId, deviceType);
+        const resp = await this.transport.read(64, 60);
+        if (resp.length < 8) {
+            throw this.protocolError("File transfer activation timeout", 102, FileTransferRequest.START);
+        }
+        
+        const [respCmd, respData] = structUnpack('<II', resp);
+        if (respCmd !== 102) {
+            throw this.protocolError(`File transfer activation rejected: cmd=${respCmd}, code=${respData}`, 102, FileTransferRequest.START, respData);
         }
+        this.log(`  File transfer activated`);
+    }
+    
+    /**
+     * Send one item through the pipeline
+     * @param {boolean} compressed - Send the LZ4 frame as stored (102/5, 102/6),
+     *                               cut into sequences at block boundaries
+     * @param {AbortSignal} signal - See sequenceSink()
+     */
+    async runPipeline(item, compressed, signal = null) {
+        const compression = compressed ? 'none' : this.compressionOf(item);
+        await this.measureItem(item);
         
-        this.log(`  Final size to send: ${formatBytes(fileSize)}`);
+        await this.activateFileTransfer();
         
-        let offset = 0;
+        // Disk reads run ahead of decompression, and decompression runs a
+        // sequence ahead of the USB transfer
+        let stream = itemSourceStream(item);
+        if (this.readAheadBytes > 0) {
+            stream = stream.pipeThrough(new ReadAheadStream(this.readAheadBytes));
+        }
+        if (compression === 'lz4') {
+            stream = stream.pipeThrough(new LZ4DecompressStream(this.verbose));
+        } else if (compression === 'gzip') {
+            stream = stream.pipeThrough(createGzipDecompressStream());
+        }
+        if (this.expandSparse && !compressed) {
+            stream = stream.pipeThrough(new SparseExpandStream());
+        }
         
-        try {
-            // Step 1: Send FileTransferPacket (102/0) to activate
-            this.log(`  Activating file transfer (102/0)...`);
-            const buf = new Uint8Array(1024);
-            buf.set(structPack('<III', 102, 0, 0), 0);
-            await this.usbDevice.write(buf.slice(0, this.packetSize));
-            
-            const resp = await this.usbDevice.read(64, 60);
-            if (resp.length < 8) {
-                throw new Error("File transfer activation timeout");
-            }
-            
-            const [respCmd, respData] = structUnpack('<II', resp);
-            if (respCmd !== 102) {
-                throw new Error(`File transfer activation rejected: cmd=${respCmd}`);
+        let cut = null;
+        let sequenceSize = this.sequenceSize;
+        if (compressed) {
+            // Compressed sequences hold whole LZ4 blocks, so the largest block
+            // (with the frame header, its size field and checksum) must fit
+            const blockFit = LZ4_MAX_FRAME_HEADER_SIZE + item.sizes.lz4BlockSize + 8;
+            const smallest = Math.ceil(blockFit / this.fileTransferPacketSize) * this.fileTransferPacketSize;
+            if (sequenceSize < smallest) {
+                log(`${item.filename}: sending ${formatBytes(smallest)} compressed sequences to fit its ` +
+                    `${formatBytes(item.sizes.lz4BlockSize)} LZ4 blocks`, 'warning');
+                sequenceSize = smallest;
             }
-            this.log(`  File transfer activated`);
             
-            // Step 2: Main transfer loop - send in chunks (max 30MB per chunk)
-            const MAX_CHUNK_SIZE = 0x1E00000;  // 30MB
-            let sequenceNum = 0;
-            
-            while (offset < fileSize) {
-                const remaining = fileSize - offset;
-                const chunkSize = Math.min(remaining, MAX_CHUNK_SIZE);
-                this.log(`  Sequence ${sequenceNum}: offset=${offset}, chunk=${formatBytes(chunkSize)}`);
-                
-                // Begin sequence (102/2)
-                this.log(`  Sending sequence begin (102/2)...`);
-                buf.fill(0);
-                buf.set(structPack('<III', 102, 2, chunkSize), 0);
-                await this.usbDevice.write(buf.slice(0, this.packetSize));
-                
-                const resp2 = await this.usbDevice.read(64, 60);
-                if (resp2.length < 8) {
-                    throw new Error("Sequence begin timeout");
-                }
-                
-                const [cmd2, data2] = structUnpack('<II', resp2);
-                if (cmd2 !== 102) {
-                    throw new Error(`Sequence begin rejected: cmd=${cmd2}`);
-                }
-                this.log(`  Sequence begin accepted`);
-                
-                // Small delay for device to prepare
-                await sleep(100);
-                
-                // Send data blocks
-                this.log(`  Sending ${formatBytes(chunkSize)} in ${formatBytes(this.fileTransferPacketSize)} blocks...`);
-                if (data) {
-                    this.log(`  Data array length: ${data.length}, FileSize: ${fileSize}, Offset: ${offset}`);
-                } else {
-                    this.log(`  STREAMING mode: will read from file on-the-fly`);
-                }
-                
-                let chunkOffset = 0;
-                let blockCount = 0;
-                
-                while (chunkOffset < chunkSize) {
-                    const blockSize = Math.min(this.fileTransferPacketSize, chunkSize - chunkOffset);
-                    
-                    let block;
-                    
-                    if (data) {
-                        // Read from pre-loaded data array
-                        const blockStart = offset + chunkOffset;
-                        const blockEnd = blockStart + blockSize;
-                        
-                        // Safety check
-                        if (blockStart >= data.length) {
-                            this.log(`    CRITICAL ERROR: blockStart ${blockStart} >= data.length ${data.length}`, 'error');
-                            this.log(`    offset=${offset}, chunkOffset=${chunkOffset}, fileSize=${fileSize}`, 'error');
-                            throw new Error(`Reading beyond data array: ${blockStart} >= ${data.length}`);
-                        }
-                        
-                        block = data.slice(blockStart, blockEnd);
-                        
-                        if (blockCount === 0) {
-                            this.log(`  First block slice: data[${blockStart}:${blockEnd}] (data.length=${data.length})`);
-                            this.log(`  First 32 bytes of block: ${bytesToHex(block.slice(0, 32))}`);
-                        }
-                    } else {
-                        // STREAMING: Read from file handle on-the-fly (like PyOdin line 544-545)
-                        const fileBlockStart = item.info.fileOffset + offset + chunkOffset;
-                        const fileBlockEnd = fileBlockStart + blockSize;
-                        
-                        if (blockCount === 0) {
-                            this.log(`  First block: reading file bytes ${fileBlockStart} to ${fileBlockEnd}`);
-                        }
-                        
-                        try {
-                            const blockBlob = item.info.fileHandle.slice(fileBlockStart, fileBlockEnd);
-                            block = new Uint8Array(await blockBlob.arrayBuffer());
-                            
-                            if (blockCount === 0) {
-                                this.log(`  First 32 bytes of block: ${bytesToHex(block.slice(0, 32))}`);
-                            }
-                        } catch (error) {
-                            this.log(`  ERROR reading block from file: ${error.message}`, 'error');
-                            throw new Error(`Failed to read block: ${error.message}`);
-                        }
-                    }
-                    
-                    // Pad to full packet size
-                    if (block.length < this.fileTransferPacketSize) {
-                        const padded = new Uint8Array(this.fileTransferPacketSize);
-                        padded.set(block);
-                        block = padded;
-                    }
-                    
-                    // CRITICAL: Send empty transfer before each block (except first)
-                    if (blockCount > 0) {
-                        this.log(`    Block ${blockCount}: sending empty transfer...`);
-                        try {
-                            // Empty transfer for device sync - ignore errors
-                            await this.usbDevice.write(new Uint8Array(0));
-                        } catch (e) {}
-                    }
-                    
-                    this.log(`    Block ${blockCount}: sending ${block.length} bytes (actual=${blockSize})`);
-                    
-                    // Send data block
-                    const written = await this.usbDevice.write(block);
-                    this.log(`    Block ${blockCount}: wrote ${written} bytes`);
-                    
-                    if (written !== this.fileTransferPacketSize) {
-                        throw new Error(`Expected to write ${this.fileTransferPacketSize}, wrote ${written}`);
-                    }
-                    
-                    // Read response
-                    const blockResp = await this.usbDevice.read(64, 60);
-                    if (blockResp.length !== 8) {
-                        throw new Error(`Expected 8-byte response, got ${blockResp.length}`);
-                    }
-                    
-                    chunkOffset += blockSize;
-                    blockCount++;
-                    
-                    // Update progress
-                    if (this.progressCallback) {
-                        const progress = new DownloadProgress();
-                        progress.currentFile = item.filename;
-                        progress.bytesTransferred = offset + chunkOffset;
-                        progress.totalBytes = fileSize;
-                        progress.percentage = ((offset + chunkOffset) / fileSize) * 100;
-                        
-                        const now = Date.now();
-                        if (now - this.lastProgressUpdate > 500) {
-                            this.progressCallback(progress);
-                            this.lastProgressUpdate = now;
-                        }
-                    }
-                }
-                
-                this.log(`  Sent ${blockCount} blocks, total ${formatBytes(chunkOffset)}`);
-                
-                // Step 3: Finalize chunk (102/3)
-                const remainingAfter = fileSize - (offset + chunkSize);
-                const completionStatus = remainingAfter <= 0 ? 1 : 0;
-                
-                this.log(`  Finalizing sequence (102/3)...`);
-                buf.fill(0);
-                buf.set(structPack('<II', 102, 3), 0);
-                buf.set(structPack('<IIIIII', 
-                    0,              // destination (0=Phone)
-                    chunkOffset,    // actual bytes in sequence (unpadded)
-                    0,              // unknown
-                    deviceType,     // device type from PIT
-                    partitionId,    // partition ID from PIT
-                    completionStatus  // 1=last chunk, 0=more coming
-                ), 8);
-                
-                this.log(`  Finalize: size=${chunkOffset}, part_id=${partitionId}, dev_type=${deviceType}, status=${completionStatus}`);
-                this.log(`  FULL PACKET HEX (first 64 bytes):`);
-                const hexStr = bytesToHex(buf.slice(0, 64));
-                for (let i = 0; i < hexStr.length; i += 32) {
-                    this.log(`    ${String(i/2).padStart(4, '0')}: ${hexStr.slice(i, i+32)}`);
-                }
-                
-                // CRITICAL: Empty transfer before 102/3
-                this.log(`  Sending empty transfer before 102/3...`);
-                try { await this.usbDevice.write(new Uint8Array(0)); } catch (e) {}
-                
-                // Send 102/3 packet
-                await this.usbDevice.write(buf.slice(0, this.packetSize));
-                
-                // CRITICAL: Empty transfer after 102/3
-                this.log(`    Sending empty transfer after 102/3...`);
-                try { await this.usbDevice.write(new Uint8Array(0)); } catch (e) {}
-                
-                // Small delay
-                await sleep(100);
-                
-                // Read finalization response (can take up to 120s for flash write)
-                this.log(`    Reading finalization response (device writing to flash, may take 2 minutes)...`);
-                let finalResp = null;
-                try {
-                    finalResp = await this.usbDevice.read(64, 120);
-                } catch (error) {
-                    this.log(`    Timeout after 120s: ${error.message}`);
-                }
-                
-                if (finalResp && finalResp.length >= 8) {
-                    const [finalCmd, finalData] = structUnpack('<II', finalResp);
-                    this.log(`    Response: cmd=${finalCmd}, data=${finalData}`);
-                    
-                    if (finalCmd === 0xFFFFFFFF) {
-                        throw new Error(`Finalize rejected, code=${finalData}`);
-                    }
-                    if (finalCmd !== 102) {
-                        throw new Error(`Unexpected response cmd=${finalCmd}`);
-                    }
-                } else {
-                    this.log(`    No response received`);
-                    if (completionStatus === 1) {
-                        this.log(`    WARNING: No response on final chunk, continuing anyway...`);
-                    } else {
-                        throw new Error("No response on intermediate chunk");
-                    }
+            // The frame the next sequence starts inside of (null: at a frame
+            // header, as the item and every frame after an end mark do)
+            let frame = null;
+            cut = (window) => {
+                const { end, frame: next } = StreamingLZ4Decoder.completeBlocksEnd(window, frame);
+                if (end <= 0) {
+                    throw this.protocolError(`Could not cut ${item.filename} into compressed sequences of at most ` +
+                        `${formatBytes(sequenceSize)}: an LZ4 block does not fit`, null, null, null, DownloadEngine.partitionOf(item));
                 }
-                
-                offset += chunkSize;
-                sequenceNum++;
-            }
-            
-            this.log(`✓ Complete: ${item.filename}`);
-            
-            // CRITICAL: Clear memory after successful transfer
-            data = null;
-            
-            // Force garbage collection by creating/discarding large arrays
-            try {
-                const dummy = new Uint8Array(100 * 1024 * 1024); // 100MB
-                dummy[0] = 1; // Touch it so it's allocated
-                // Let it be garbage collected
-            } catch (e) {
-                // Ignore allocation errors
-            }
-            
-            this.log(`  Memory cleared for ${item.filename}`);
-            
-            // Small delay to let GC run
-            await sleep(100);
-            
-            return true;
-            
-        } catch (error) {
-            this.log(`ERROR transferring ${item.filename}: ${error.message}`);
-            // Clear memory even on error
-            data = null;
-            throw error;
+                frame = next;
+                return end;
+            };
         }
+        
+        const transfer = {
+            item,
+            compressed,
+            totalBytes: this.transferSizeOf(item, compressed),
+            sent: 0,
+            sequence: 0,
+            signal
+        };
+        
+        await stream
+            .pipeThrough(new SequenceChunker(sequenceSize, cut))
+            .pipeTo(this.sequenceSink(transfer));
+        
+        this.log(`✓ Sent ${item.filename}${compressed ? ' compressed' : ''}: ${formatBytes(transfer.sent)} in ${transfer.sequence} sequence(s)`);
     }
     
+    /**
+     * Pipeline end: each { data, final } from SequenceChunker is one sequence
+     * A write resolves only once the device has written the sequence. Up to
+     * readAheadSequences more wait behind it; past that the rest of the
+     * pipeline is held back.
+     * An aborted transfer.signal stops it before the next sequence (a safe
+     * point: the device has acknowledged everything sent); sequences read
+     * ahead are dropped.
+     */
+    sequenceSink(transfer) {
+        return new WritableStream({
+            write: async ({ data, final }) => {
+                transfer.signal?.throwIfAborted();
+                await this.sendSequence(transfer, data, final);
+                if (!final) {
+                    this.partitionInProgress = DownloadEngine.partitionOf(transfer.item);
+                }
+            }
+        }, { highWaterMark: 1 + this.readAheadSequences });  // The sequence being sent counts too
+    }
     
     /**
-     * Transfer file using streaming LZ4 decompression
-     * Decompresses and sends blocks WITHOUT loading entire file into memory
+     * Send one sequence: begin, data blocks, finalize
+     * (102/2 + 102/3, or 102/5 + 102/6 when compressed)
      */
-    async transferFileStreamingLZ4(item, partitionId, deviceType) {
-        this.log(`\n==== TRUE STREAMING LZ4 Transfer: ${item.filename} ====`);
-        this.log(`  This will decompress and send data block-by-block`);
-        this.log(`  Maximum memory usage: ~128MB (never loads full file)`);
+    async sendSequence(transfer, data, final) {
+        const { item, compressed } = transfer;
+        const kind = compressed ? 'Compressed sequence' : 'Sequence';
+        const partition = DownloadEngine.partitionOf(item);
+        const beginRequest = compressed ? FileTransferRequest.COMPRESSED_BEGIN : FileTransferRequest.BEGIN;
+        const endRequest = compressed ? FileTransferRequest.COMPRESSED_END : FileTransferRequest.END;
+        const partitionId = item.info.partition_id || 0;
+        const deviceType = item.info.device_type || 2;
+        const totalBytes = Math.max(transfer.totalBytes, transfer.sent + data.length);
         
-        if (typeof StreamingLZ4Decoder === 'undefined') {
-            throw new Error('StreamingLZ4Decoder not loaded');
-        }
+        this.log(`  ${kind} ${transfer.sequence}: offset=${transfer.sent}, ${formatBytes(data.length)}${final ? ' (final)' : ''}`);
         
-        const decoder = new StreamingLZ4Decoder(this.verbose);
+        // Begin sequence (102/2 or 102/5)
         const buf = new Uint8Array(1024);
+        buf.set(structPack('<III', 102, beginRequest, data.length), 0);
+        await this.transport.write(buf.slice(0, this.packetSize));
         
-        // Activate file transfer
-        this.log(`  Activating file transfer (102/0)...`);
-        buf.set(structPack('<III', 102, 0, 0), 0);
-        await this.usbDevice.write(buf.slice(0, this.packetSize));
+        const beginResp = await this.transport.read(64, 60);
+        const [beginCmd, beginData] = beginResp.length >= 8 ? structUnpack('<II', beginResp) : [null, null];
+        if (beginCmd !== 102) {
+            if (compressed && transfer.sequence === 0) {
+                throw this.protocolError(`Device refused compressed download: cmd=${beginCmd}, code=${beginData}`,
+                    102, beginRequest, beginData, partition);
+            }
+            throw this.protocolError(`${kind} begin rejected: cmd=${beginCmd}, code=${beginData}`, 102, beginRequest, beginData, partition);
+        }
         
-        const resp = await this.usbDevice.read(64, 60);
-        if (resp.length < 8) throw new Error("File transfer activation timeout");
+        if (transfer.sequence === 0) {
+            this.stats?.startPartition(partition, transfer.totalBytes);
+        }
         
-        const [respCmd, respData] = structUnpack('<II', resp);
-        if (respCmd !== 102) throw new Error(`File transfer activation rejected: cmd=${respCmd}`);
+        // Paced by the device's responses: the begin is acknowledged, so the data can follow
+        await this.sendBlocks(data, partition, transfer.sent, totalBytes);
         
-        // Streaming state
-        const SEND_BUFFER_SIZE = 30 * 1024 * 1024; // 30MB buffer before sending
-        let sendBuffer = new Uint8Array(SEND_BUFFER_SIZE);
-        let bufferPos = 0;
-        let totalDecompressed = 0;
-        let totalSent = 0;
-        let sequenceNum = 0;
+        // Finalize sequence (102/3 or 102/6)
+        buf.fill(0);
+        buf.set(structPack('<II', 102, endRequest), 0);
+        buf.set(structPack('<IIIIII',
+            TransferDestination.PHONE,  // destination (0=Phone, 1=Modem; T-Flash is set by 100/8)
+            data.length,        // actual bytes in sequence (unpadded)
+            0,                  // unknown
+            deviceType,         // device type from PIT
+            partitionId,        // partition ID from PIT
+            final ? 1 : 0       // 1=last sequence, 0=more coming
+        ), 8);
+        this.log(`  Finalize: size=${data.length}, part_id=${partitionId}, dev_type=${deviceType}, status=${final ? 1 : 0}`);
         
-        // Helper function to flush buffer to device
-        const flushBuffer = async (isFinal) => {
-            if (bufferPos === 0) return;
-            
-            this.log(`  Flushing ${formatBytes(bufferPos)} to device (sequence ${sequenceNum})...`);
-            
-            // Begin sequence
-            buf.fill(0);
-            buf.set(structPack('<III', 102, 2, bufferPos), 0);
-            await this.usbDevice.write(buf.slice(0, this.packetSize));
-            await this.usbDevice.read(64, 60);
-            await sleep(100);
-            
-            // Send blocks from buffer
-            let offset = 0;
-            let blockCount = 0;
-            
-            while (offset < bufferPos) {
-                const blockSize = Math.min(this.fileTransferPacketSize, bufferPos - offset);
-                let block = sendBuffer.slice(offset, offset + blockSize);
-                
-                // Pad
-                if (block.length < this.fileTransferPacketSize) {
-                    const padded = new Uint8Array(this.fileTransferPacketSize);
-                    padded.set(block);
-                    block = padded;
-                }
-                
-                if (blockCount > 0) {
-                    try { await this.usbDevice.write(new Uint8Array(0)); } catch(e) {}
-                }
-                
-                await this.usbDevice.write(block);
-                await this.usbDevice.read(64, 60);
-                
-                offset += blockSize;
-                blockCount++;
+        await this.transport.write(buf.slice(0, this.packetSize));
+        
+        // Read finalization response (can take up to 120s for flash write)
+        let finalResp = null;
+        const waitStart = performance.now();
+        try {
+            finalResp = await this.transport.read(64, 120);
+        } catch (error) {
+            // Only a cancelled timeout counts as "no response"; an unplugged
+            // device must abort, and a read still pending would take the
+            // answer to the next command
+            if (!(error instanceof UsbTransferError) || !error.isTimeout) {
+                throw error;
             }
-            
-            // Finalize sequence
-            const completionStatus = isFinal ? 1 : 0;
-            buf.fill(0);
-            buf.set(structPack('<II', 102, 3), 0);
-            buf.set(structPack('<IIIIII',
-                0, bufferPos, 0, deviceType, partitionId, completionStatus
-            ), 8);
-            
-            try { await this.usbDevice.write(new Uint8Array(0)); } catch(e) {}
-            await this.usbDevice.write(buf.slice(0, this.packetSize));
-            try { await this.usbDevice.write(new Uint8Array(0)); } catch(e) {}
-            await sleep(100);
-            
-            await this.usbDevice.read(64, 120);
-            
-            totalSent += bufferPos;
-            this.log(`  ✓ Sent ${formatBytes(bufferPos)}, total sent: ${formatBytes(totalSent)}`);
-            
-            // Reset buffer
-            bufferPos = 0;
-            sequenceNum++;
-            
-            // Progress
-            if (this.progressCallback) {
-                const progress = new DownloadProgress();
-                progress.currentFile = item.filename;
-                progress.bytesTransferred = totalSent;
-                progress.totalBytes = totalDecompressed; // Best estimate
-                progress.percentage = totalDecompressed > 0 ? (totalSent / totalDecompressed) * 100 : 0;
-                this.progressCallback(progress);
+            if (error.pending) {
+                throw this.protocolError(`No response on ${kind.toLowerCase()} finalize, and the read could not be cancelled`,
+                    102, endRequest, null, partition);
             }
-        };
+            this.log(`    Timeout after 120s: ${error.message}`);
+        }
+        const waitMs = performance.now() - waitStart;
+        this.stats?.addFlashWait(waitMs);
+        this.log(`    Device flash write took ${formatDuration(waitMs / 1000)}`);
         
-        // Decompress and send block-by-block
-        this.log(`  Starting streaming decompression of ${formatBytes(item.info.actualSize)}...`);
+        if (finalResp && finalResp.length >= 8) {
+            const [finalCmd, finalData] = structUnpack('<II', finalResp);
+            if (finalCmd === 0xFFFFFFFF) {
+                throw this.protocolError(`${kind} rejected, code=${finalData}`, 102, endRequest, finalData, partition);
+            }
+            if (finalCmd !== 102) {
+                throw this.protocolError(`Unexpected response cmd=${finalCmd}`, 102, endRequest, null, partition);
+            }
+        } else if (final) {
+            this.log(`    WARNING: No response on final sequence, continuing anyway...`);
+        } else {
+            throw this.protocolError("No response on intermediate sequence", 102, endRequest, null, partition);
+        }
         
-        try {
-            await decoder.decompressStreaming(
-                item.info.fileHandle,
-                item.info.fileOffset,
-                item.info.actualSize,
-                async (decompressedBlock) => {
-                    totalDecompressed += decompressedBlock.length;
-                    this.log(`  +Block: ${formatBytes(decompressedBlock.length)}, total: ${formatBytes(totalDecompressed)}`);
-                    
-                    // Add to send buffer
-                    let blockOffset = 0;
-                    
-                    while (blockOffset < decompressedBlock.length) {
-                        const copySize = Math.min(SEND_BUFFER_SIZE - bufferPos, decompressedBlock.length - blockOffset);
-                        
-                        sendBuffer.set(decompressedBlock.slice(blockOffset, blockOffset + copySize), bufferPos);
-                        bufferPos += copySize;
-                        blockOffset += copySize;
-                        
-                        // Flush if buffer is full
-                        if (bufferPos >= SEND_BUFFER_SIZE) {
-                            await flushBuffer(false);
-                        }
-                    }
-                    
-                    // Clear the decompressed block immediately
-                    decompressedBlock = null;
-                }
-            );
+        transfer.sent += data.length;
+        transfer.sequence++;
+        this.reportProgress(partition, transfer.sent, totalBytes, true);
+    }
+    
+    /**
+     * Send one sequence's data in padded, acknowledged blocks
+     * @param {Uint8Array} data - The sequence's bytes
+     * @param {string} partition - For progress and errors
+     * @param {number} baseOffset - Where the sequence starts in the file
+     * @param {number} fileSize - For progress
+     */
+    async sendBlocks(data, partition, baseOffset, fileSize) {
+        let offset = 0;
+        
+        while (offset < data.length) {
+            const blockSize = Math.min(this.fileTransferPacketSize, data.length - offset);
+            let block = data.subarray(offset, offset + blockSize);
+            
+            // Only the last block of a sequence is padded (a copy); the rest are sent in place
+            if (blockSize < this.fileTransferPacketSize) {
+                block = new Uint8Array(this.fileTransferPacketSize);
+                block.set(data.subarray(offset));
+            }
             
-            // Flush any remaining data
-            if (bufferPos > 0) {
-                await flushBuffer(true);
+            // Send data block (no ZLP: its size was agreed with 100/5)
+            const blockStart = performance.now();
+            const written = await this.transport.write(block);
+            if (written !== this.fileTransferPacketSize) {
+                throw this.protocolError(`Data block at ${baseOffset + offset}: wrote ${written} bytes, expected ${this.fileTransferPacketSize}`, 102, null, null, partition);
             }
             
-        } catch (error) {
-            throw new Error(`Streaming decompression failed: ${error.message}`);
+            const blockResp = await this.transport.read(64, 60);
+            if (blockResp.length !== 8) {
+                throw this.protocolError(`Expected 8-byte response to the data block at ${baseOffset + offset}, got ${blockResp.length}`, 102, null, null, partition);
+            }
+            if (structUnpack('<I', blockResp)[0] === 0xFFFFFFFF) {
+                const code = structUnpack('<II', blockResp)[1];
+                throw this.protocolError(`Data block at ${baseOffset + offset} rejected, code=${code}`, 102, null, code, partition);
+            }
+            this.stats?.addBlock(blockSize, performance.now() - blockStart);
+            
+            offset += blockSize;
+            this.reportProgress(partition, baseOffset + offset, fileSize);
         }
+    }
+    
+    /**
+     * F. Reset Time (100/3): reset the device's flash time, like Odin's option
+     * Not every bootloader takes it, so a refusal is only a warning.
+     * @returns {boolean} true if the device accepted it
+     */
+    async resetFlashTime() {
+        this.log("Resetting flash time (100/3)...");
+        this.setPhase('session-setup');
         
-        this.log(`✓ Streaming transfer complete: ${formatBytes(totalSent)} sent`);
+        const buf = new Uint8Array(1024);
+        buf.set(structPack('<II', 100, 3), 0);
+        await this.transport.write(buf.slice(0, this.packetSize));
+        
+        const resp = await this.transport.read(64, TIMEOUT_TRANSFER);
+        const [cmd, result] = resp.length >= 8 ? structUnpack('<II', resp) : [null, null];
         
-        // Clear memory
-        sendBuffer = null;
+        if (cmd !== 100 || result !== 0) {
+            log(`Device did not accept F. Reset Time (cmd=${cmd}, result=${result})`, 'warning');
+            return false;
+        }
         
+        this.log("✓ Flash time reset");
         return true;
     }
     
     /**
-     * Inline LZ4 frame decompressor (fallback if library not available)
-     * This is a simplified implementation - may not work for all LZ4 variants
+     * End the session and carry out the end action
+     * @param {string} endAction - EndAction
      */
-    async decompressLZ4Inline(compressedData) {
-        this.log('  WARNING: Using basic LZ4 decompression (limited support)');
-        
-        // For production, user should include proper LZ4 library
-        // This is a very basic implementation that may fail on complex LZ4 frames
+    async endSession(endAction) {
+        await this.closeConnection();
+        await sleep(500);
         
-        throw new Error('LZ4 library not loaded. Please include: <script src="https://unpkg.com/lz4js@0.2.0/lz4.js"></script>');
+        if (endAction === EndAction.REBOOT) {
+            await this.rebootDevice();
+        } else if (endAction === EndAction.DOWNLOAD) {
+            await this.rebootDevice(EndSessionRequest.REBOOT_TO_DOWNLOAD);
+        }
     }
     
     /**
@@ -903,16 +1224,17 @@ class DownloadEngine {
      */
     async closeConnection() {
         this.log("Closing connection...");
+        this.setPhase('end-session');
         
         try {
             // Send end session command (103/0)
             const buf = new Uint8Array(1024);
-            buf.set(structPack('<III', 103, 0, 0), 0);
+            buf.set(structPack('<III', 103, EndSessionRequest.END_SESSION, 0), 0);
             
-            await this.usbDevice.write(buf.slice(0, this.packetSize));
+            await this.transport.write(buf.slice(0, this.packetSize));
             
             // Read response
-            const resp = await this.usbDevice.read(64, TIMEOUT_TRANSFER);
+            const resp = await this.transport.read(64, TIMEOUT_TRANSFER);
             
             this.log("Connection closed");
         } catch (error) {
@@ -922,16 +1244,20 @@ class DownloadEngine {
     
     /**
      * Reboot device
+     * @param {number} request - EndSessionRequest.REBOOT (normal boot) or
+     *                           REBOOT_TO_DOWNLOAD (back into Download Mode)
      */
-    async rebootDevice() {
-        this.log("Rebooting device...");
+    async rebootDevice(request = EndSessionRequest.REBOOT) {
+        const toDownload = request === EndSessionRequest.REBOOT_TO_DOWNLOAD;
+        this.log(toDownload ? "Rebooting device into Download Mode..." : "Rebooting device...");
+        this.setPhase('reboot');
         
         try {
-            // Send reboot command (103/1)
+            // Send reboot command (103/1, or 103/2 for Download Mode)
             const buf = new Uint8Array(1024);
-            buf.set(structPack('<III', 103, 1, 0), 0);
+            buf.set(structPack('<III', 103, request, 0), 0);
             
-            await this.usbDevice.write(buf.slice(0, this.packetSize));
+            await this.transport.write(buf.slice(0, this.packetSize));
             
             // Device will disconnect during reboot
             this.log("Reboot command sent");
@@ -8,6 +8,7 @@ class FirmwareItem {
         this.filename = filename;
         this.data = data;
         this.info = info || {};
+        this.sizes = null;  // ItemSizes, see DownloadEngine.measureItem()
     }
 }
 
@@ -18,6 +19,23 @@ class FirmwareData {
         this.pitData = null;
         this.manifest = null;
     }
+    
+    /**
+     * Copy to flash to another device: item data and measured sizes are
+     * shared, item info (which flashing fills in from that device's PIT) is not
+     */
+    copy() {
+        const copy = new FirmwareData();
+        copy.items = this.items.map(item => {
+            const itemCopy = new FirmwareItem(item.filename, item.data, { ...item.info });
+            itemCopy.sizes = item.sizes;
+            return itemCopy;
+        });
+        copy.md5Hash = this.md5Hash;
+        copy.pitData = this.pitData;
+        copy.manifest = this.manifest;
+        return copy;
+    }
 }
 
 class FirmwareParser {
@@ -0,0 +1,300 @@
+/**
+ * Page side of the flash worker (see flash-worker.js)
+ * Same API as OdinFlasher - connectDevice, connectBySerial, connectReplay,
+ * disconnectDevice, flash (stoppable), dumpPit, listPartitions,
+ * dumpPartition, capture, verbose control and transfer overrides - with the
+ * protocol running in the worker. Log lines and progress are posted back;
+ * 'disconnect' and 'reattach' are re-dispatched as on OdinFlasher.
+ */
+class FlashWorkerClient extends EventTarget {
+    constructor(verbose = false, workerUrl = 'js/flash-worker.js') {
+        super();
+        this.verbose = verbose;
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.pending = new Map();
+        this.nextId = 1;
+        this.progressCallback = null;
+        this.onLog = null;  // (message, type) sink for worker log lines; defaults to log()
+        this.deviceInfo = null;
+        this.isConnected = false;
+        this.isFlashing = false;
+    }
+
+    log(message) {
+        if (this.verbose) {
+            log(`[FlashWorkerClient] ${message}`, 'info');
+        }
+    }
+
+    /**
+     * Start a worker client, or null when workers cannot do WebUSB here
+     * (no Worker support, file:// page, no navigator.usb in workers)
+     */
+    static async create(verbose = false, workerUrl = 'js/flash-worker.js') {
+        if (typeof Worker === 'undefined') {
+            return null;
+        }
+
+        const client = new FlashWorkerClient(verbose, workerUrl);
+        try {
+            if (await client.start()) {
+                return client;
+            }
+            log('WebUSB is not available in workers - running the flasher on the page', 'warning');
+        } catch (error) {
+            log(`Flash worker unavailable (${error.message}) - running the flasher on the page`, 'warning');
+        }
+
+        client.terminate();
+        return null;
+    }
+
+    /**
+     * Spawn the worker
+     * @returns {Promise<boolean>} Whether the worker can use WebUSB
+     */
+    async start() {
+        this.worker = new Worker(this.workerUrl);
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+
+        const failed = new Promise((resolve, reject) => {
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                reject(new Error(event.message || 'worker failed to load'));
+            };
+        });
+
+        const { webusb } = await Promise.race([this.call('init', this.verbose), failed]);
+        this.worker.onerror = (event) => log(`Flash worker error: ${event.message}`, 'error');
+
+        this.log(`Worker started (WebUSB ${webusb ? 'available' : 'unavailable'})`);
+        return webusb;
+    }
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        for (const { reject } of this.pending.values()) {
+            reject(new Error("Flash worker terminated"));
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Call a worker method
+     */
+    call(method, ...args) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, method, args });
+        });
+    }
+
+    handleMessage(message) {
+        if (message.event) {
+            this.handleEvent(message);
+            return;
+        }
+
+        const call = this.pending.get(message.id);
+        if (!call) {
+            return;
+        }
+        this.pending.delete(message.id);
+
+        if (message.state) {
+            this.isConnected = message.state.isConnected;
+            this.isFlashing = message.state.isFlashing;
+        }
+
+        if (message.error && message.error.protocol) {
+            call.reject(OdinProtocolError.fromJSON(message.error.protocol));
+        } else if (message.error) {
+            const error = new Error(message.error.message);
+            error.name = message.error.name;
+            error.code = message.error.code;
+            call.reject(error);
+        } else {
+            call.resolve(message.result);
+        }
+    }
+
+    handleEvent(message) {
+        switch (message.event) {
+            case 'log':
+                (this.onLog || log)(message.message, message.type);
+                break;
+
+            case 'progress':
+                if (this.progressCallback) {
+                    this.progressCallback(message.progress);
+                }
+                break;
+
+            case 'disconnect':
+                this.isConnected = false;
+                this.dispatchEvent(new CustomEvent('disconnect', {
+                    detail: { ...message.detail, deviceInfo: FlashWorkerClient.deviceInfoFrom(message.detail.deviceInfo) }
+                }));
+                break;
+
+            case 'reattach':
+                this.dispatchEvent(new CustomEvent('reattach', {
+                    detail: { ...message.detail, deviceInfo: FlashWorkerClient.deviceInfoFrom(message.detail.deviceInfo) }
+                }));
+                break;
+        }
+    }
+
+    /**
+     * Rebuild DeviceInfo (and its descriptor report) from the worker's copy
+     */
+    static deviceInfoFrom(plain) {
+        if (!plain) {
+            return null;
+        }
+
+        const deviceInfo = Object.assign(new DeviceInfo(plain.vendorId, plain.productId), plain);
+        if (plain.descriptors) {
+            deviceInfo.descriptors = Object.assign(new UsbDescriptorReport(), plain.descriptors);
+        }
+        return deviceInfo;
+    }
+
+    async listDevices() {
+        return await UsbDevice.listDevices();
+    }
+
+    /**
+     * Connect to a device; the chooser (if needed) runs on the page
+     * @param {USBDevice|Object} device - Authorized device, or { vendorId, productId, serialNumber }
+     */
+    async connectDevice(device = null) {
+        if (!device) {
+            const deviceInfo = await new UsbDevice(this.verbose).findDevice();
+            if (!deviceInfo) {
+                log(`Connection failed: No Samsung device found in Download mode`, 'error');
+                throw new Error("No Samsung device found in Download mode");
+            }
+            device = deviceInfo.device;
+        }
+
+        const identity = {
+            vendorId: device.vendorId,
+            productId: device.productId,
+            serialNumber: device.serialNumber || ""
+        };
+
+        this.deviceInfo = FlashWorkerClient.deviceInfoFrom(await this.call('connect', identity));
+        return this.deviceInfo;
+    }
+
+    async connectBySerial(serialNumber) {
+        const device = await UsbDevice.findAuthorizedDevice(serialNumber);
+        if (!device) {
+            throw new Error(`No authorized device with serial ${serialNumber} in Download mode`);
+        }
+
+        return await this.connectDevice(device);
+    }
+
+    async connectReplay(trace) {
+        this.deviceInfo = FlashWorkerClient.deviceInfoFrom(await this.call('connectReplay', trace));
+        return this.deviceInfo;
+    }
+
+    async disconnectDevice() {
+        await this.call('disconnect');
+        this.deviceInfo = null;
+    }
+
+    /**
+     * Flash firmware (see OdinFlasher.flash)
+     * Items are structured-cloned: File handles are cheap, preloaded data is copied.
+     * Signals cannot be posted, so aborting `signal` asks the worker to stop;
+     * one that is already aborted stops the flash before it writes anything.
+     */
+    async flash(firmwareData, options = {}, progressCallback = null, signal = null) {
+        const firmware = {
+            items: firmwareData.items.map(item => ({ filename: item.filename, data: item.data, info: item.info })),
+            md5Hash: firmwareData.md5Hash,
+            pitData: firmwareData.pitData,
+            manifest: firmwareData.manifest
+        };
+
+        const stop = () => this.call('stopFlash');
+        
+        this.progressCallback = progressCallback;
+        this.isFlashing = true;
+        try {
+            // The worker sets up the flash's abort controller before it takes
+            // the next message, so a stop posted right after it stops the flash
+            const flashing = this.call('flash', firmware, { ...options });
+            if (signal?.aborted) {
+                stop();
+            } else {
+                signal?.addEventListener('abort', stop);
+            }
+            return Object.assign(new FlashResult(), await flashing);
+        } finally {
+            this.progressCallback = null;
+            signal?.removeEventListener('abort', stop);
+        }
+    }
+
+    async dumpPit() {
+        return await this.call('dumpPit');
+    }
+
+    /**
+     * Partitions on the device, as PitEntry instances again: structured
+     * cloning drops the partitionSize getter
+     * @returns {Promise<PitEntry[]>}
+     */
+    async listPartitions() {
+        const entries = await this.call('listPartitions');
+        return entries.map(plain => Object.assign(new PitEntry(), plain));
+    }
+
+    /**
+     * Back up a partition (see OdinFlasher.dumpPartition)
+     */
+    async dumpPartition(partitionName, fileHandle, progressCallback = null) {
+        this.progressCallback = progressCallback;
+        this.isFlashing = true;
+        try {
+            return await this.call('dumpPartition', partitionName, fileHandle);
+        } finally {
+            this.progressCallback = null;
+        }
+    }
+
+    async startCapture() {
+        return await this.call('startCapture');
+    }
+
+    async stopCapture() {
+        return await this.call('stopCapture');
+    }
+
+    async exportCapture(format) {
+        return await this.call('exportCapture', format);
+    }
+
+    async setVerbose(verbose) {
+        this.verbose = verbose;
+        await this.call('setVerbose', verbose);
+    }
+
+    async setTransferOverrides(overrides) {
+        await this.call('setTransferOverrides', overrides);
+    }
+
+    getDeviceInfo() {
+        return this.deviceInfo;
+    }
+}
@@ -0,0 +1,208 @@
+/**
+ * Flash Worker
+ * Hosts OdinFlasher (DownloadEngine + UsbDevice) in a dedicated Worker so
+ * USB traffic and LZ4 decoding never wait on the page's DOM work or GC.
+ * Chromium exposes navigator.usb in dedicated workers, but not the device
+ * chooser: the page picks the device and sends its identity here.
+ *
+ * Messages from the page: { id, method, args }
+ * Replies:                { id, result } or { id, error: { name, message, code, protocol } }
+ *                         (`protocol`: OdinProtocolError.toJSON() for protocol errors)
+ * Events:                 { event: 'log' | 'progress' | 'disconnect' | 'reattach', ... }
+ *
+ * The page side is FlashWorkerClient (flash-worker-client.js).
+ */
+
+// Browser scripts written for window
+self.window = self;
+
+importScripts(
+    'https://cdn.jsdelivr.net/npm/pako@2.1.0/dist/pako.min.js',
+    '../lz4.min.js',
+    '../lz4-wrapper.js',
+    'lz4-streaming.js',
+    'constants.js',
+    'utils.js',
+    'device-filters.js',
+    'transfer-profiles.js',
+    'transfer-stats.js',
+    'transport.js',
+    'protocol-errors.js',
+    'usb-descriptors.js',
+    'usb-device.js',
+    'firmware-parser.js',
+    'pit-parser.js',
+    'transfer-pipeline.js',
+    'size-scanner.js',
+    'download-engine.js',
+    'usb-trace.js',
+    'flasher.js'
+);
+
+// The page renders the log; forward every line
+log = function(message, type = 'info') {
+    self.postMessage({ event: 'log', message, type });
+};
+
+let flasher = null;
+let flashController = null;  // Aborts the running flash, see stopFlash
+
+/**
+ * DeviceInfo without the (uncloneable) WebUSB handle
+ */
+function serializeDeviceInfo(deviceInfo) {
+    return deviceInfo ? { ...deviceInfo, device: null } : null;
+}
+
+/**
+ * What the page needs to find the same device again
+ */
+function deviceIdentity(device) {
+    return {
+        vendorId: device.vendorId,
+        productId: device.productId,
+        serialNumber: device.serialNumber || ""
+    };
+}
+
+/**
+ * Rebuild FirmwareData from its structured clone
+ */
+function deserializeFirmware(firmware) {
+    const firmwareData = new FirmwareData();
+    firmwareData.items = firmware.items.map(item => new FirmwareItem(item.filename, item.data, item.info));
+    firmwareData.md5Hash = firmware.md5Hash;
+    firmwareData.pitData = firmware.pitData;
+    firmwareData.manifest = firmware.manifest;
+    return firmwareData;
+}
+
+const handlers = {
+    async init(verbose) {
+        flasher = new OdinFlasher(verbose);
+        flasher.addEventListener('disconnect', (event) => {
+            self.postMessage({
+                event: 'disconnect',
+                detail: { deviceInfo: serializeDeviceInfo(event.detail.deviceInfo), duringFlash: event.detail.duringFlash }
+            });
+        });
+        flasher.addEventListener('reattach', (event) => {
+            self.postMessage({
+                event: 'reattach',
+                detail: { device: deviceIdentity(event.detail.device), deviceInfo: serializeDeviceInfo(event.detail.deviceInfo) }
+            });
+        });
+
+        return { webusb: !!(self.navigator && navigator.usb) };
+    },
+
+    async connect(identity) {
+        const devices = await navigator.usb.getDevices();
+        const device = devices.find(d =>
+            d.vendorId === identity.vendorId &&
+            d.productId === identity.productId &&
+            (!identity.serialNumber || d.serialNumber === identity.serialNumber)
+        );
+        if (!device) {
+            throw new Error("Device is not visible to the flash worker - reconnect it and try again");
+        }
+
+        if (flasher.isConnected) {
+            await flasher.disconnectDevice();
+        }
+
+        return serializeDeviceInfo(await flasher.connectDevice(device));
+    },
+
+    async connectReplay(trace) {
+        return serializeDeviceInfo(await flasher.connectReplay(trace));
+    },
+
+    async disconnect() {
+        await flasher.disconnectDevice();
+    },
+
+    async flash(firmware, options) {
+        flashController = new AbortController();
+        try {
+            return await flasher.flash(deserializeFirmware(firmware), options, (progress) => {
+                self.postMessage({ event: 'progress', progress });
+            }, flashController.signal);
+        } finally {
+            flashController = null;
+        }
+    },
+
+    // Answered at once; the flash itself resolves once it reached a safe point
+    async stopFlash() {
+        if (flashController) {
+            flashController.abort();
+        }
+    },
+
+    async dumpPit() {
+        return await flasher.dumpPit();
+    },
+
+    async listPartitions() {
+        return await flasher.listPartitions();
+    },
+
+    // FileSystemFileHandles are cloneable; the worker writes the backup itself
+    async dumpPartition(partitionName, fileHandle) {
+        return await flasher.dumpPartition(partitionName, fileHandle, (progress) => {
+            self.postMessage({ event: 'progress', progress });
+        });
+    },
+
+    async setVerbose(verbose) {
+        flasher.setVerbose(verbose);
+    },
+
+    async setTransferOverrides(overrides) {
+        flasher.setTransferOverrides(overrides);
+    },
+
+    async startCapture() {
+        return flasher.startCapture();
+    },
+
+    async stopCapture() {
+        return flasher.stopCapture();
+    },
+
+    async exportCapture(format) {
+        return flasher.exportCapture(format);
+    }
+};
+
+self.onmessage = async (event) => {
+    const { id, method, args } = event.data;
+
+    try {
+        if (!handlers[method]) {
+            throw new Error(`Unknown flash worker method '${method}'`);
+        }
+        if (method !== 'init' && !flasher) {
+            throw new Error("Flash worker not initialized");
+        }
+
+        const result = await handlers[method](...(args || []));
+        self.postMessage({
+            id,
+            result,
+            state: flasher ? { isConnected: flasher.isConnected, isFlashing: flasher.isFlashing } : null
+        });
+    } catch (error) {
+        self.postMessage({
+            id,
+            error: {
+                name: error.name,
+                message: error.message,
+                code: error.code || null,
+                protocol: error instanceof OdinProtocolError ? error.toJSON() : null
+            },
+            state: flasher ? { isConnected: flasher.isConnected, isFlashing: flasher.isFlashing } : null
+        });
+    }
+};
@@ -4,15 +4,95 @@
  * Port of PyOdin's flasher.py
  */
 
-class OdinFlasher {
-    constructor(verbose = false) {
+/**
+ * What flash() does besides writing the firmware (Odin's option checkboxes)
+ * Plain objects with the same fields work too (e.g. after a postMessage)
+ */
+class FlashOptions {
+    constructor(options = {}) {
+        // End action (EndAction); `reboot: false` is the old way to say STAY
+        this.endAction = options.endAction ?? (options.reboot ?? true ? EndAction.REBOOT : EndAction.STAY);
+        this.resetTime = options.resetTime ?? false;       // F. Reset Time
+        this.repartition = options.repartition ?? false;   // Re-Partition: upload a PIT first
+        this.pitData = options.pitData ?? null;            // PIT for Re-Partition (else the firmware's)
+        this.nandErase = options.nandErase ?? false;       // NAND Erase: wipe user data before flashing
+        this.tflash = options.tflash ?? false;             // T-Flash: write to the SD card instead of the phone
+    }
+}
+
+/**
+ * What OdinFlasher.flash did besides writing the files
+ */
+class FlashResult {
+    constructor(endAction) {
+        this.endAction = endAction;
+        this.resetTime = null;  // null: not requested, else whether the device took it
+        
+        // Set when the flash was stopped (see OdinFlasher.flash's signal)
+        this.stopped = false;
+        this.written = [];      // Partitions fully written
+        this.incomplete = [];   // Partitions only partly written
+        this.notStarted = [];   // Partitions nothing was sent to
+    }
+    
+    /**
+     * Where the device is heading, for the user
+     */
+    get summary() {
+        if (this.stopped) {
+            return 'Flash stopped - the device is still in Download Mode';
+        }
+        switch (this.endAction) {
+            case EndAction.STAY:
+                return 'Device is still in Download Mode - you can manually reboot it';
+            case EndAction.DOWNLOAD:
+                return 'Device is rebooting back into Download Mode';
+            default:
+                return 'Device is rebooting';
+        }
+    }
+    
+    /**
+     * What a stopped flash left behind, one line per state
+     */
+    get stopReport() {
+        const list = (names) => names.length > 0 ? names.join(', ') : 'none';
+        const lines = [
+            `Fully written: ${list(this.written)}`,
+            `Left incomplete: ${list(this.incomplete)}`,
+            `Not started: ${list(this.notStarted)}`
+        ];
+        if (this.incomplete.length > 0) {
+            lines.push('Flash the incomplete partitions again before rebooting the device');
+        }
+        return lines;
+    }
+}
+
+/**
+ * Events dispatched (as CustomEvent):
+ *   'disconnect' - device dropped off the bus, detail: { deviceInfo, duringFlash }
+ *   'reattach'   - the same device is back in Download Mode, detail: { device, deviceInfo }
+ */
+class OdinFlasher extends EventTarget {
+    /**
+     * @param {boolean} verbose - Verbose logging
+     * @param {USB} usb - WebUSB implementation for UsbDevice (defaults to navigator.usb)
+     */
+    constructor(verbose = false, usb = null) {
+        super();
         this.verbose = verbose;
-        this.usbDevice = null;
+        this.usb = usb;
+        this.transport = null;
         this.downloadEngine = null;
         this.firmwareParser = new FirmwareParser(verbose);
         this.pitParser = new PitParser(verbose);
         this.deviceInfo = null;
         this.isConnected = false;
+        this.isFlashing = false;
+        this.traceRecorder = null;
+        this.transferOverrides = null;  // { filePartSize, sequenceSize }, see TransferSettings
+        this.compressedDownloadRefusedBy = new Set();  // Devices that refused 102/5, see deviceKey
     }
     
     log(message) {
@@ -21,98 +101,168 @@ class OdinFlasher {
         }
     }
     
+    /**
+     * Capture the USB traffic of the next connection (null to stop)
+     * @param {UsbTraceRecorder} recorder
+     */
+    setTraceRecorder(recorder) {
+        if (this.traceRecorder && this.traceRecorder !== recorder) {
+            this.traceRecorder.detach();
+        }
+        this.traceRecorder = recorder;
+    }
+    
+    /**
+     * Start a new USB capture
+     * @returns {boolean} true if a session was already open (capture misses its handshake)
+     */
+    startCapture() {
+        const recorder = new UsbTraceRecorder();
+        this.setTraceRecorder(recorder);
+        
+        if (this.isConnected) {
+            recorder.attach(this.transport);
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Stop capturing
+     * @returns {number} Number of transfers recorded
+     */
+    stopCapture() {
+        if (!this.traceRecorder) {
+            return 0;
+        }
+        this.traceRecorder.detach();
+        return this.traceRecorder.records.length;
+    }
+    
+    /**
+     * Export the current capture
+     * @param {string} format - 'json' (replayable) or 'pcapng' (Wireshark)
+     * @returns {Blob}
+     */
+    exportCapture(format) {
+        const recorder = this.traceRecorder;
+        if (!recorder || recorder.records.length === 0) {
+            throw new Error("No USB traffic captured yet");
+        }
+        return format === 'pcapng' ? recorder.exportPcapng() : recorder.exportJson();
+    }
+    
+    /**
+     * Block and sequence sizes to use instead of the protocol version's
+     * profile, from the next connection on
+     * @param {Object} overrides - { filePartSize, sequenceSize } (either may be null), or null
+     */
+    setTransferOverrides(overrides) {
+        this.transferOverrides = overrides;
+    }
+    
+    /**
+     * Set verbose logging on the flasher and everything it owns
+     */
+    setVerbose(verbose) {
+        this.verbose = verbose;
+        this.firmwareParser.verbose = verbose;
+        this.pitParser.verbose = verbose;
+        if (this.downloadEngine) this.downloadEngine.verbose = verbose;
+        if (this.transport) this.transport.verbose = verbose;
+    }
+    
     /**
      * List all connected Samsung devices in Download mode
      */
     async listDevices() {
-        return await UsbDevice.listDevices();
+        return await UsbDevice.listDevices(this.usb);
     }
     
     /**
-     * Connect to Samsung device
+     * Connect to Samsung device over WebUSB
+     * @param {USBDevice} device - Already authorized device to use (skips the chooser)
      */
-    async connectDevice() {
+    async connectDevice(device = null) {
         this.log("Connecting to device...");
         
+        // Create USB device
+        const usbDevice = new UsbDevice(this.verbose, this.usb);
+        
+        // Find device
+        const deviceInfo = device ? usbDevice.useDevice(device) : await usbDevice.findDevice();
+        if (!deviceInfo) {
+            log(`Connection failed: No Samsung device found in Download mode`, 'error');
+            throw new Error("No Samsung device found in Download mode");
+        }
+        
+        this.log(`Found device: ${deviceInfo}`);
+        
+        return await this.connectTransport(usbDevice);
+    }
+    
+    /**
+     * Open a transport (see transport.js) and run the Odin session setup
+     * @param {Transport} transport - UsbDevice, MockTransport, ...
+     */
+    async connectTransport(transport) {
+        // Drop a previous (possibly unplugged) device
+        if (this.transport && typeof this.transport.stopWatching === 'function') {
+            this.transport.stopWatching();
+        }
+        
+        this.transport = transport;
+        this.transport.addEventListener('disconnect', (event) => this.handleDisconnect(event));
+        this.transport.addEventListener('reattach', (event) => this.handleReattach(event));
+        
+        // Start capturing before the handshake so the trace replays from the start
+        if (this.traceRecorder) {
+            this.traceRecorder.attach(this.transport);
+        }
+        
         try {
-            // Create USB device
-            this.usbDevice = new UsbDevice(this.verbose);
-            
-            // Find and connect to device
-            const deviceInfo = await this.usbDevice.findDevice();
-            if (!deviceInfo) {
-                throw new Error("No Samsung device found in Download mode");
-            }
-            
-            this.log(`Found device: ${deviceInfo}`);
-            
             // Connect to device
-            if (!await this.usbDevice.connect()) {
+            if (!await this.transport.open()) {
                 throw new Error("Failed to connect to device");
             }
             
-            // Create download engine
-            this.downloadEngine = new DownloadEngine(this.usbDevice, this.verbose);
-            
-            // EXACT protocol sequence from odin4.c:
-            
-            // Step 1: Handshake (send "ODIN", receive "LOKE")
-            this.log("Step 1: Handshake...");
-            if (!await this.downloadEngine.handshake()) {
-                throw new Error("Failed handshake - device did not respond with 'LOKE'");
+            // Descriptors and link speed (EP0 only, does not disturb the bulk pipes)
+            if (typeof this.transport.inspectDescriptors === 'function') {
+                try {
+                    await this.transport.inspectDescriptors();
+                } catch (error) {
+                    log(`Could not read USB descriptors: ${error.message}`, 'warning');
+                }
             }
             
-            // Step 2: Get protocol version (100/0/4)
-            this.log("Step 2: Getting protocol version (100/0/4)...");
-            const buf = new Uint8Array(1024);
-            buf.set(structPack('<III', 100, 0, 4), 0);
-            this.log(`Sending ${this.downloadEngine.packetSize} byte packet...`);
-            await this.usbDevice.write(buf.slice(0, this.downloadEngine.packetSize));
-            
-            this.log("Waiting for response (timeout: 60s)...");
-            const resp = await this.usbDevice.read(64, 60);  // 60 second timeout
-            
-            if (resp.length < 8) {
-                log(`ERROR: Received only ${resp.length} bytes, expected at least 8`, 'error');
-                throw new Error(`No valid response to protocol version request (got ${resp.length} bytes)`);
-            }
+            // Create download engine
+            this.downloadEngine = new DownloadEngine(this.transport, this.verbose);
             
-            this.log(`Received ${resp.length} bytes`);
-            const [cmd, data] = structUnpack('<II', resp);
-            this.log(`Response: cmd=${cmd}, data=0x${data.toString(16).padStart(8, '0')}`);
+            // EXACT protocol sequence from odin4.c:
             
-            const version = (data >> 16) & 0xFFFF;
-            const deviceDefaultPacketSize = data & 0xFFFF;
-            this.downloadEngine.protocolVersion = version;
-            this.log(`✓ Protocol version: ${version}, default packet size: ${deviceDefaultPacketSize}`);
+            // Steps 1-2: Device identity (DVIF), handshake (ODIN/LOKE) and protocol version (100/0/4),
+            // walking the recovery ladder if the device does not answer
+            this.log("Steps 1-2: Handshake and protocol version...");
+            const session = await this.downloadEngine.openSession();
             
-            // Step 3: Send file part size if device supports it (100/5)
-            if (deviceDefaultPacketSize !== 0) {
-                this.log("Step 3: Sending file part size (100/5)...");
-                buf.fill(0);  // Clear buffer
-                buf.set(structPack('<III', 100, 5, 0x100000), 0);  // 1MB
-                await this.usbDevice.write(buf.slice(0, this.downloadEngine.packetSize));
-                const resp2 = await this.usbDevice.read(64, TIMEOUT_HANDSHAKE);
-                
-                if (resp2.length >= 8) {
-                    const [cmd2, result] = structUnpack('<II', resp2);
-                    this.log(`✓ File part size response: ${result}`);
-                    if (result !== 0) {
-                        throw new Error(`Device rejected file part size: ${result}`);
-                    }
-                }
-            } else {
-                this.log("Step 3: Skipped (device doesn't support file part size)");
-            }
+            // Step 3: Block and sequence sizes for this protocol version (100/5 if the device takes it)
+            this.log("Step 3: Negotiating transfer sizes...");
+            const profile = TransferProfile.forProtocol(session.version).withOverrides(this.transferOverrides);
+            const negotiated = await this.downloadEngine.negotiateTransferProfile(profile, session.defaultPacketSize);
             
             // NOTE: Step 4 (100/2 with total bytes) is sent later in flash() after firmware is loaded
             
             // Get device info
             this.deviceInfo = await this.downloadEngine.getDeviceInfo();
             this.deviceInfo.protocolVersion = this.downloadEngine.protocolVersion;
+            this.deviceInfo.transferProfile = negotiated.toString();
             this.isConnected = true;
             
             this.log(`Connected to device: ${this.deviceInfo}`);
+            if (this.deviceInfo.identity) {
+                log(`Device: ${this.deviceInfo.modelName || 'unknown model'}, firmware ${this.deviceInfo.firmwareVersion || 'unknown'}, ` +
+                    `sales code ${this.deviceInfo.salesCode || 'unknown'}`, 'info');
+            }
             
             return this.deviceInfo;
             
@@ -122,6 +272,51 @@ class OdinFlasher {
         }
     }
     
+    /**
+     * Connect to a captured USB trace instead of a device (see usb-trace.js)
+     * @param {Object} trace - Parsed JSON trace
+     */
+    async connectReplay(trace) {
+        return await this.connectTransport(new ReplayTransport(trace, false, this.verbose));
+    }
+    
+    /**
+     * Connect to an already authorized device by USB serial number
+     * (like odin4 -d, no chooser)
+     */
+    async connectBySerial(serialNumber) {
+        const device = await UsbDevice.findAuthorizedDevice(serialNumber, this.usb);
+        if (!device) {
+            throw new Error(`No authorized device with serial ${serialNumber} in Download mode`);
+        }
+        
+        return await this.connectDevice(device);
+    }
+    
+    /**
+     * USB device was unplugged
+     */
+    handleDisconnect(event) {
+        this.isConnected = false;
+        this.log("Device disconnected");
+        
+        this.dispatchEvent(new CustomEvent('disconnect', {
+            detail: { deviceInfo: event.detail.deviceInfo, duringFlash: this.isFlashing }
+        }));
+    }
+    
+    /**
+     * Previously connected device re-entered Download Mode
+     */
+    handleReattach(event) {
+        this.log("Device re-attached");
+        
+        // Only report it once; connectDevice() creates a fresh watcher
+        this.transport.stopWatching();
+        
+        this.dispatchEvent(new CustomEvent('reattach', { detail: event.detail }));
+    }
+    
     /**
      * Disconnect from device
      */
@@ -130,11 +325,12 @@ class OdinFlasher {
             await this.downloadEngine.closeConnection();
         }
         
-        if (this.usbDevice) {
-            await this.usbDevice.disconnect();
+        if (this.transport) {
+            await this.transport.close();
         }
         
         this.isConnected = false;
+        this.deviceInfo = null;
         this.log("Disconnected from device");
     }
     
@@ -164,10 +360,38 @@ class OdinFlasher {
         return pit;
     }
     
+    /**
+     * Validate a PIT for Re-Partition and serialize it for upload
+     * @param {Uint8Array|PitData} pit
+     * @returns {Uint8Array}
+     */
+    preparePit(pit) {
+        if (!pit) {
+            throw new Error("Re-Partition needs a PIT file - select one, or use a firmware that contains one");
+        }
+        
+        const parsed = pit instanceof PitData ? pit : this.pitParser.parse(pit);
+        if (parsed.entries.length === 0) {
+            throw new Error("PIT contains no partitions");
+        }
+        
+        this.log(`Re-Partition with ${parsed.entries.length}-entry PIT`);
+        return this.pitParser.serialize(parsed);
+    }
+    
     /**
      * Flash firmware to device
+     * @param {FirmwareData} firmwareData
+     * @param {FlashOptions|Object} options
+     * @param {Function} progressCallback - Receives DownloadProgress
+     * @param {AbortSignal} signal - Stops the flash at the next safe point (between
+     *                               partitions or sequences); the session is then closed
+     *                               and the result says what was written (FlashResult.stopped)
+     * @returns {FlashResult}
      */
-    async flash(firmwareData, pitData = null, reboot = true, progressCallback = null) {
+    async flash(firmwareData, options = {}, progressCallback = null, signal = null) {
+        options = new FlashOptions(options);
+        
         if (!this.isConnected) {
             throw new Error("Not connected to device");
         }
@@ -176,6 +400,9 @@ class OdinFlasher {
             throw new Error("Download engine not initialized");
         }
         
+        // Checked before the session starts: a bad PIT must not get half-sent
+        const pitUpload = options.repartition ? this.preparePit(options.pitData || firmwareData.pitData) : null;
+        
         this.log("Starting firmware flash...");
         
         // Set progress callback
@@ -183,11 +410,17 @@ class OdinFlasher {
             this.downloadEngine.setProgressCallback(progressCallback);
         }
         
+        this.isFlashing = true;
+        this.downloadEngine.partitionsWritten = [];
+        this.downloadEngine.partitionInProgress = null;
+        
         try {
-            // Calculate ACTUAL total bytes (like PyOdin line 330-348)
-            // CRITICAL: For compressed files, we decompress BEFORE sending, 
-            // so totalBytes must reflect DECOMPRESSED sizes
-            this.log("Calculating total bytes to send...");
+            // Fixed before 100/2, which announces the sizes it implies
+            this.downloadEngine.compressedDownload = !this.compressedDownloadRefusedBy.has(this.deviceKey);
+            
+            // Exact total bytes (like PyOdin line 330-348): what crosses the
+            // cable, so decompressed sizes unless the device decompresses
+            this.log("Measuring items...");
             let totalBytes = 0;
             
             for (const item of firmwareData.items) {
@@ -196,89 +429,39 @@ class OdinFlasher {
                     continue;
                 }
                 
-                // CRITICAL: For streaming files, we need to calculate their DECOMPRESSED size
-                if (!item.data && item.info.isLargeFile) {
-                    // Large file that will be loaded during transfer
-                    // For compressed files, estimate decompressed size (typically 3-4x for LZ4)
-                    if (item.filename.endsWith('.lz4')) {
-                        const estimatedSize = item.info.actualSize * 4;  // LZ4 typically 25% compression
-                        totalBytes += estimatedSize;
-                        this.log(`  ${item.filename}: ${formatBytes(estimatedSize)} (estimated from LZ4)`);
-                    } else if (item.filename.endsWith('.gz')) {
-                        const estimatedSize = item.info.actualSize * 3;  // GZIP typically 33% compression
-                        totalBytes += estimatedSize;
-                        this.log(`  ${item.filename}: ${formatBytes(estimatedSize)} (estimated from GZIP)`);
-                    } else {
-                        // Uncompressed - use actual size
-                        totalBytes += item.info.actualSize;
-                        this.log(`  ${item.filename}: ${formatBytes(item.info.actualSize)} (uncompressed)`);
-                    }
-                } else if (item.data) {
-                    // Already loaded - use actual size
-                    totalBytes += item.data.length;
-                    this.log(`  ${item.filename}: ${formatBytes(item.data.length)}`);
-                } else {
+                if (!item.data && !item.info.isLargeFile) {
                     this.log(`  Skipping ${item.filename} (no data)`);
+                    continue;
+                }
+                
+                this.downloadEngine.reportStatus(`Measuring ${item.filename}...`);
+                const sizes = await this.downloadEngine.measureItem(item);
+                const size = this.downloadEngine.transferSizeOf(item);
+                totalBytes += size;
+                
+                const notes = [];
+                if (this.downloadEngine.sendsCompressed(item)) {
+                    notes.push('sent LZ4-compressed');
+                } else if (sizes.decodedSize !== sizes.storedSize) {
+                    notes.push(`${formatBytes(sizes.storedSize)} compressed`);
                 }
+                if (sizes.sparse) {
+                    notes.push(`sparse, ${formatBytes(sizes.imageSize)} expanded`);
+                }
+                this.log(`  ${item.filename}: ${formatBytes(size)}${notes.length ? ` (${notes.join(', ')})` : ''}`);
             }
             
             this.log(`Total bytes to send: ${formatBytes(totalBytes)}`);
             
-            // Send 100/2 with total bytes
-            this.log("Completing initialization (100/2 with total bytes)...");
-            this.log(`  PACKET 100/2 HEX (first 64 bytes):`);
-            const buf = new Uint8Array(1024);
-            buf.set(structPack('<II', 100, 2), 0);
-            buf.set(structPack('<Q', totalBytes), 8);
-            
-            const hexStr = bytesToHex(buf.slice(0, 64));
-            for (let i = 0; i < hexStr.length; i += 32) {
-                this.log(`    ${String(i/2).padStart(4, '0')}: ${hexStr.slice(i, i+32)}`);
-            }
-            
-            await this.downloadEngine.usbDevice.write(buf.slice(0, this.downloadEngine.packetSize));
-            
-            const resp = await this.downloadEngine.usbDevice.read(64, TIMEOUT_TRANSFER);
-            if (resp.length < 8) {
-                throw new Error("No response to 100/2 packet");
-            }
-            const [respCmd, respData] = structUnpack('<II', resp);
-            if (respCmd !== 100 || respData !== 0) {
-                throw new Error(`Device rejected 100/2: cmd=${respCmd}, result=${respData}`);
-            }
-            this.log("✓ Initialization complete");
-            
-            // Handle PIT
-            let pitForMatching = null;
+            // Match the files to their partitions, and check they fit, before
+            // anything is written: a Re-Partition goes by the new PIT, v2/v3
+            // devices by their own (reading it changes nothing), v4+ by the firmware's
             const protocolVersion = this.deviceInfo?.protocolVersion || 2;
             this.log(`Device protocol version: ${protocolVersion}`);
             
-            if (protocolVersion <= 3) {
+            let pitForMatching = pitUpload;
+            if (!pitForMatching && protocolVersion <= 3) {
                 this.log("Protocol v2/v3 detected - will retrieve PIT...");
-                
-                // Send PIT info
-                this.log("Calling sendPitInfo...");
-                if (!await this.downloadEngine.sendPitInfo()) {
-                    throw new Error("sendPitInfo failed");
-                }
-                
-                // Send PIT data if available
-                if (pitData) {
-                    this.log("Sending PIT data...");
-                    if (!await this.downloadEngine.sendPitData(pitData)) {
-                        throw new Error("Failed to send PIT data");
-                    }
-                    pitForMatching = pitData;
-                } else if (firmwareData.pitData) {
-                    this.log("Sending embedded PIT data...");
-                    if (!await this.downloadEngine.sendPitData(firmwareData.pitData)) {
-                        throw new Error("Failed to send embedded PIT data");
-                    }
-                    pitForMatching = firmwareData.pitData;
-                }
-                
-                // Receive PIT from device
-                this.log("Receiving PIT from device...");
                 try {
                     pitForMatching = await this.downloadEngine.receivePitData();
                     this.log(`✓ Retrieved PIT (${pitForMatching.length} bytes)`);
@@ -286,60 +469,174 @@ class OdinFlasher {
                     this.log(`ERROR: Could not retrieve PIT: ${error.message}`);
                     throw error;
                 }
-            } else {
-                // Protocol v4+ may not need PIT
-                if (pitData) {
-                    this.log("Sending PIT data...");
-                    if (!await this.downloadEngine.sendPitData(pitData)) {
-                        throw new Error("Failed to send PIT data");
-                    }
-                    pitForMatching = pitData;
-                } else if (firmwareData.pitData) {
-                    this.log("Sending embedded PIT data...");
-                    if (!await this.downloadEngine.sendPitData(firmwareData.pitData)) {
-                        throw new Error("Failed to send embedded PIT data");
-                    }
-                    pitForMatching = firmwareData.pitData;
-                }
+            } else if (!pitForMatching && firmwareData.pitData) {
+                pitForMatching = firmwareData.pitData;
+            }
+            this.downloadEngine.matchPartitions(firmwareData, pitForMatching);
+            signal?.throwIfAborted();
+            
+            await this.sendTotalBytes(totalBytes);
+            
+            if (options.tflash) {
+                await this.downloadEngine.enableTFlash();
+            }
+            
+            const result = new FlashResult(options.endAction);
+            if (options.resetTime) {
+                result.resetTime = await this.downloadEngine.resetFlashTime();
+            }
+            
+            if (options.nandErase) {
+                signal?.throwIfAborted();
+                await this.downloadEngine.eraseNand();
+            }
+            
+            // Started after the erase, so its wait does not skew speed and ETA
+            this.downloadEngine.startTransferStats(totalBytes);
+            
+            // Re-Partition: the new PIT goes in before any file
+            if (pitUpload) {
+                signal?.throwIfAborted();
+                await this.downloadEngine.sendPitData(pitUpload);
             }
             
             // Upload firmware binaries
             this.log("Uploading firmware binaries...");
-            if (!await this.downloadEngine.uploadBinaries(firmwareData, pitForMatching)) {
-                throw new Error("Failed to upload firmware binaries");
+            try {
+                await this.downloadEngine.uploadBinaries(firmwareData, signal);
+            } catch (error) {
+                if (!this.isCompressedDownloadRefusal(error)) {
+                    throw error;
+                }
+                await this.resumeDecompressed(firmwareData, options, signal);
             }
             
             this.log("Firmware flashed successfully!");
+            for (const line of this.downloadEngine.stats.toLines()) {
+                log(line, 'info');
+            }
             
-            // Close session
-            this.log("Closing session...");
+            // Close session and carry out the end action
+            this.log(`Closing session (end action: ${options.endAction})...`);
             try {
-                await this.downloadEngine.closeConnection();
-                await sleep(500);
+                await this.downloadEngine.endSession(options.endAction);
+                await sleep(options.endAction === EndAction.STAY ? 0 : 1000);
             } catch (error) {
-                this.log(`Warning: Error closing connection: ${error.message}`);
+                // Device disconnects during reboot - this is normal
+                this.log(`Warning: Error ending session: ${error.message}`);
             }
+            log(result.summary, options.endAction === EndAction.STAY ? 'warning' : 'info');
             
-            // Reboot device if requested
-            if (reboot) {
-                this.log("Rebooting device (auto-reboot enabled)...");
-                try {
-                    await this.downloadEngine.rebootDevice();
-                    await sleep(1000);
-                } catch (error) {
-                    // Device disconnects during reboot - this is normal
-                }
-            } else {
-                this.log("Skipping reboot (auto-reboot disabled)", 'warning');
-                this.log("Device is still in Download Mode - you can manually reboot it", 'info');
-            }
-            
-            return true;
+            return result;
             
         } catch (error) {
+            if (signal?.aborted && error === signal.reason) {
+                return await this.stopFlash(firmwareData);
+            }
             this.log(`Flashing failed: ${error.message}`);
             throw error;
+        } finally {
+            this.isFlashing = false;
+        }
+    }
+    
+    /**
+     * Send 100/2: the bytes the session will transfer
+     */
+    async sendTotalBytes(totalBytes) {
+        this.log("Completing initialization (100/2 with total bytes)...");
+        this.downloadEngine.setPhase('session-setup');
+        this.log(`  PACKET 100/2 HEX (first 64 bytes):`);
+        const buf = new Uint8Array(1024);
+        buf.set(structPack('<II', 100, 2), 0);
+        buf.set(structPack('<Q', totalBytes), 8);
+        
+        const hexStr = bytesToHex(buf.slice(0, 64));
+        for (let i = 0; i < hexStr.length; i += 32) {
+            this.log(`    ${String(i/2).padStart(4, '0')}: ${hexStr.slice(i, i+32)}`);
+        }
+        
+        await this.downloadEngine.transport.write(buf.slice(0, this.downloadEngine.packetSize));
+        
+        const resp = await this.downloadEngine.transport.read(64, TIMEOUT_TRANSFER);
+        if (resp.length < 8) {
+            throw this.downloadEngine.protocolError("No response to 100/2 packet", 100, 2);
+        }
+        const [respCmd, respData] = structUnpack('<II', resp);
+        if (respCmd !== 100 || respData !== 0) {
+            throw this.downloadEngine.protocolError(`Device rejected 100/2: cmd=${respCmd}, result=${respData}`, 100, 2, respData);
+        }
+        this.log("✓ Initialization complete");
+    }
+    
+    /**
+     * What compressedDownloadRefusedBy remembers a device by: its DVIF unique
+     * ID, or without one the connection (USB serials are empty on many
+     * bootloaders, so they would lump devices together)
+     */
+    get deviceKey() {
+        return this.deviceInfo?.uniqueId || this.transport;
+    }
+    
+    /**
+     * Did the device refuse to take an item compressed before any of it was sent?
+     */
+    isCompressedDownloadRefusal(error) {
+        return error instanceof OdinProtocolError && error.command === 102 &&
+            error.subCommand === FileTransferRequest.COMPRESSED_BEGIN &&
+            this.downloadEngine.partitionInProgress === null;
+    }
+    
+    /**
+     * Carry on a flash whose first compressed sequence (102/5) was refused
+     * 100/2 announced compressed sizes, so the rest cannot simply follow
+     * decompressed: the session is closed (103/0) and a new one opened on
+     * the same connection (100/0, 100/5), announcing the decompressed sizes
+     * of what is left. Partitions already written stay written.
+     */
+    async resumeDecompressed(firmwareData, options, signal) {
+        const engine = this.downloadEngine;
+        this.compressedDownloadRefusedBy.add(this.deviceKey);
+        engine.compressedDownload = false;
+        log('This device does not take compressed data - starting a new session to send LZ4 images decompressed', 'warning');
+        
+        await engine.closeConnection();
+        const session = await engine.requestProtocolVersion();
+        await engine.negotiateTransferProfile(engine.transferProfile, session.defaultPacketSize);
+        
+        const remainingBytes = firmwareData.items
+            .filter(item => !DownloadEngine.skipReason(item) && !engine.partitionsWritten.includes(DownloadEngine.partitionOf(item)))
+            .reduce((sum, item) => sum + engine.transferSizeOf(item), 0);
+        await this.sendTotalBytes(remainingBytes);
+        if (options.tflash) {
+            await engine.enableTFlash();
         }
+        
+        engine.stats.totalBytes = engine.stats.bytesTransferred + remainingBytes;
+        await engine.uploadBinaries(firmwareData, signal, true);
+    }
+    
+    /**
+     * End a flash stopped at a safe point: close the session (103/0) without
+     * rebooting, and report how far each partition got
+     */
+    async stopFlash(firmwareData) {
+        const engine = this.downloadEngine;
+        const result = new FlashResult(EndAction.STAY);
+        result.stopped = true;
+        result.written = [...engine.partitionsWritten];
+        result.incomplete = engine.partitionInProgress ? [engine.partitionInProgress] : [];
+        result.notStarted = firmwareData.items
+            .filter(item => !DownloadEngine.skipReason(item))
+            .map(item => DownloadEngine.partitionOf(item))
+            .filter(name => !result.written.includes(name) && !result.incomplete.includes(name));
+        
+        log('Flash stopped - closing the session', 'warning');
+        await engine.endSession(EndAction.STAY);
+        for (const line of result.stopReport) {
+            log(line, 'warning');
+        }
+        return result;
     }
     
     /**
@@ -363,6 +660,64 @@ class OdinFlasher {
         return pitData;
     }
     
+    /**
+     * Partitions on the device, from its PIT
+     * @returns {Promise<PitEntry[]>}
+     */
+    async listPartitions() {
+        const pitData = await this.dumpPit();
+        return this.pitParser.parse(pitData).entries;
+    }
+    
+    /**
+     * Back up a partition (DUMP)
+     * @param {string} partitionName - PIT partition name, e.g. "EFS"
+     * @param {FileSystemFileHandle} fileHandle - Streamed to this file as it is read,
+     *                                            never held in memory
+     * @param {Function} progressCallback - Receives DownloadProgress
+     * @returns {Promise<number>} The bytes written to the file
+     */
+    async dumpPartition(partitionName, fileHandle, progressCallback = null) {
+        if (!this.isConnected) {
+            throw new Error("Not connected to device");
+        }
+        if (this.isFlashing) {
+            throw new Error("Device is busy");
+        }
+        if (!fileHandle) {
+            throw new Error("A partition backup needs a file to stream to");
+        }
+        
+        const entries = await this.listPartitions();
+        const entry = entries.find(e => e.partitionName.toLowerCase() === partitionName.toLowerCase());
+        if (!entry) {
+            throw new Error(`No partition '${partitionName}' in the device PIT`);
+        }
+        
+        const writable = await fileHandle.createWritable();
+        
+        this.downloadEngine.setProgressCallback(progressCallback);
+        this.isFlashing = true;
+        
+        try {
+            const size = await this.downloadEngine.dumpPartition(entry, async (chunk) => {
+                await writable.write(chunk);
+            });
+            
+            await writable.close();
+            log(`Backed up ${entry.partitionName} (${formatBytes(size)})`, 'success');
+            return size;
+        
+        } catch (error) {
+            // Leave no half-written backup behind
+            await writable.abort().catch(() => {});
+            throw error;
+        } finally {
+            this.isFlashing = false;
+            this.downloadEngine.setProgressCallback(null);
+        }
+    }
+    
     /**
      * Get connected device information
      */
@@ -1,6 +1,8 @@
 /**
  * Streaming LZ4 Decompressor
- * Decompresses LZ4 frames block-by-block without loading entire file into memory
+ * Frame header parsing and block decompression; LZ4DecompressStream
+ * (transfer-pipeline.js) feeds it one block at a time so a file is never
+ * held in memory whole
  * 
  * LZ4 Frame Format:
  * - Magic Number (4 bytes): 0x184D2204
@@ -22,140 +24,139 @@ class StreamingLZ4Decoder {
     }
     
     /**
-     * Decompress LZ4 file from TAR, calling callback with decompressed chunks
-     * @param {File} tarFile - The TAR file handle
-     * @param {number} offset - Offset of LZ4 file within TAR
-     * @param {number} compressedSize - Size of compressed LZ4 file
-     * @param {Function} onChunk - Callback(decompressedChunk) for each decompressed block
-     * @returns {Promise<number>} Total decompressed size
+     * Parse an LZ4 frame's magic number and frame descriptor
+     * @param {Uint8Array} header - At least the first LZ4_MAX_FRAME_HEADER_SIZE bytes of the frame (or all of it)
+     * @returns {Object} { headerSize, version, blockIndependence, blockChecksum, contentSize, contentChecksum, maxBlockSize }
      */
-    async decompressStreaming(tarFile, offset, compressedSize, onChunk) {
-        this.log(`Starting streaming decompression of ${formatBytes(compressedSize)} from offset ${offset}`);
-        
-        let fileOffset = offset;
-        const endOffset = offset + compressedSize;
-        let totalDecompressed = 0;
-        
-        // Read and verify magic number
-        const magicBlob = tarFile.slice(fileOffset, fileOffset + 4);
-        const magicBuffer = await magicBlob.arrayBuffer();
-        const magicView = new DataView(magicBuffer);
-        const magic = magicView.getUint32(0, true);
-        
-        if (magic !== 0x184D2204) {
+    static parseFrameHeader(header) {
+        const magic = header.length >= 4 ? new DataView(header.buffer, header.byteOffset, 4).getUint32(0, true) : 0;
+        if (magic !== 0x184D2204 || header.length < 7) {
             throw new Error(`Invalid LZ4 magic number: 0x${magic.toString(16)}`);
         }
         
-        this.log('✓ Valid LZ4 magic number');
-        fileOffset += 4;
-        
-        // Parse frame descriptor
-        const fdBlob = tarFile.slice(fileOffset, fileOffset + 16);
-        const fdBuffer = await fdBlob.arrayBuffer();
-        const fdView = new Uint8Array(fdBuffer);
-        
-        const flg = fdView[0];
-        const bd = fdView[1];
-        
-        const version = (flg >> 6) & 0x3;
-        const blockIndependence = (flg >> 5) & 0x1;
-        const blockChecksum = (flg >> 4) & 0x1;
-        const contentSize = (flg >> 3) & 0x1;
-        const contentChecksum = (flg >> 2) & 0x1;
-        const dictID = flg & 0x1;
-        
-        const blockMaxSize = ((bd >> 4) & 0x7);
+        const flg = header[4];
+        const bd = header[5];
         const blockSizeTable = [0, 0, 0, 0, 64*1024, 256*1024, 1024*1024, 4*1024*1024];
-        const maxBlockSize = blockSizeTable[blockMaxSize];
-        
-        this.log(`Frame: version=${version}, blockIndep=${blockIndependence}, maxBlockSize=${formatBytes(maxBlockSize)}`);
-        
-        let fdSize = 2;
-        if (contentSize) fdSize += 8;
-        if (dictID) fdSize += 4;
-        fdSize += 1; // HC byte
         
-        fileOffset += fdSize;
-        
-        // Process data blocks
-        let blockNum = 0;
-        
-        while (fileOffset < endOffset) {
-            // Read block size (4 bytes)
-            const blockSizeBlob = tarFile.slice(fileOffset, fileOffset + 4);
-            const blockSizeBuffer = await blockSizeBlob.arrayBuffer();
-            const blockSizeView = new DataView(blockSizeBuffer);
-            const blockSize = blockSizeView.getUint32(0, true);
-            
-            fileOffset += 4;
+        const frame = {
+            version: (flg >> 6) & 0x3,
+            blockIndependence: (flg >> 5) & 0x1,
+            blockChecksum: (flg >> 4) & 0x1,
+            contentSize: (flg >> 3) & 0x1,
+            contentChecksum: (flg >> 2) & 0x1,
+            maxBlockSize: blockSizeTable[(bd >> 4) & 0x7]
+        };
+        
+        // Magic, FLG + BD, optional content size and dictionary ID, HC byte
+        frame.headerSize = 4 + 2 + (frame.contentSize ? 8 : 0) + ((flg & 0x1) ? 4 : 0) + 1;
+        return frame;
+    }
+    
+    /**
+     * End of the last complete block in part of one or more concatenated frames
+     * Lets LZ4 data be cut into pieces that only hold whole blocks; at an end
+     * mark the frame state is dropped and the next frame's header is parsed.
+     * @param {Uint8Array} bytes - Part of the data, starting at a block or a frame header
+     * @param {Object} frame - parseFrameHeader() result of the frame `bytes` starts
+     *                         inside of, null if it starts at a frame header
+     * @returns {Object} { end: length of the whole blocks (0 if none fits),
+     *                     frame: the frame the data after `end` is inside of, null at a frame header }
+     */
+    static completeBlocksEnd(bytes, frame) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let cursor = 0;
+        let current = frame;
+        const result = { end: 0, frame };
+        
+        while (true) {
+            if (!current) {
+                if (cursor + 7 > bytes.length) {
+                    break;
+                }
+                const header = StreamingLZ4Decoder.parseFrameHeader(bytes.subarray(cursor));
+                if (cursor + header.headerSize > bytes.length) {
+                    break;
+                }
+                current = header;
+                cursor += header.headerSize;
+            }
             
-            // Check for EndMark
-            if (blockSize === 0) {
-                this.log('✓ Reached EndMark');
+            if (cursor + 4 > bytes.length) {
                 break;
             }
             
-            // Check if block is compressed
-            const isUncompressed = (blockSize & 0x80000000) !== 0;
-            const actualBlockSize = blockSize & 0x7FFFFFFF;
-            
-            if (actualBlockSize > maxBlockSize) {
-                throw new Error(`Block size ${actualBlockSize} exceeds max ${maxBlockSize}`);
+            const blockSize = view.getUint32(cursor, true);
+            const last = blockSize === 0;
+            const next = last
+                ? cursor + 4 + (current.contentChecksum ? 4 : 0)
+                : cursor + 4 + (blockSize & 0x7FFFFFFF) + (current.blockChecksum ? 4 : 0);
+            if (next > bytes.length) {
+                break;
             }
             
-            this.log(`Block ${blockNum}: ${isUncompressed ? 'uncompressed' : 'compressed'} ${formatBytes(actualBlockSize)}`);
-            
-            // Read block data
-            const blockBlob = tarFile.slice(fileOffset, fileOffset + actualBlockSize);
-            const blockBuffer = await blockBlob.arrayBuffer();
-            const blockData = new Uint8Array(blockBuffer);
-            
-            fileOffset += actualBlockSize;
-            
-            // Skip block checksum if present
-            if (blockChecksum) {
-                fileOffset += 4;
+            cursor = next;
+            current = last ? null : current;
+            result.end = cursor;
+            result.frame = current;
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Decompressed size of a single LZ4 block, without decompressing it
+     * (adds up the literal and match lengths of its sequences)
+     * @param {Uint8Array} src - Compressed block data
+     * @returns {number}
+     */
+    static decodedBlockSize(src) {
+        let srcPos = 0;
+        let size = 0;
+        
+        const readLength = (length) => {
+            if (length === 15) {
+                let len;
+                do {
+                    len = src[srcPos++];
+                    length += len;
+                } while (len === 255);
             }
+            return length;
+        };
+        
+        while (srcPos < src.length) {
+            const token = src[srcPos++];
+            const literalLength = readLength(token >> 4);
+            size += literalLength;
+            srcPos += literalLength;
             
-            // Decompress or copy block
-            let decompressed;
-            
-            if (isUncompressed) {
-                decompressed = blockData;
-            } else {
-                // Decompress this block
-                decompressed = this.decompressBlock(blockData, maxBlockSize);
+            // The last sequence has literals only
+            if (srcPos >= src.length) {
+                break;
             }
             
-            // Send decompressed data immediately
-            await onChunk(decompressed);
-            
-            totalDecompressed += decompressed.length;
-            blockNum++;
-            
-            // Clear memory
-            decompressed = null;
-            
-            // Progress update
-            const percent = ((fileOffset - offset) / compressedSize) * 100;
-            this.log(`Progress: ${percent.toFixed(1)}% (${formatBytes(fileOffset - offset)} / ${formatBytes(compressedSize)})`);
+            srcPos += 2;  // Offset
+            size += readLength(token & 0xF) + 4;
         }
         
-        this.log(`✓ Decompression complete: ${blockNum} blocks, ${formatBytes(totalDecompressed)} total`);
-        
-        return totalDecompressed;
+        return size;
     }
     
     /**
      * Decompress a single LZ4 block
      * @param {Uint8Array} src - Compressed block data
      * @param {number} maxSize - Maximum decompressed size
+     * @param {Uint8Array} dict - Output of the previous blocks (up to 64KB) for linked blocks
      * @returns {Uint8Array} Decompressed data
      */
-    decompressBlock(src, maxSize) {
-        const dst = new Uint8Array(maxSize);
+    decompressBlock(src, maxSize, dict = null) {
+        const start = dict ? dict.length : 0;
+        const dst = new Uint8Array(start + maxSize);
+        if (dict) {
+            dst.set(dict);
+        }
         let srcPos = 0;
-        let dstPos = 0;
+        let dstPos = start;
         
         while (srcPos < src.length) {
             // Read token
@@ -214,8 +215,8 @@ class StreamingLZ4Decoder {
             }
         }
         
-        // Return only the filled portion
-        return dst.slice(0, dstPos);
+        // Return only the filled portion (without the dictionary)
+        return dst.slice(start, dstPos);
     }
 }
 
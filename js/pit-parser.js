@@ -19,6 +19,13 @@ class PitEntry {
         this.fotaFilename = "";
     }
     
+    /**
+     * Partition size in bytes (0 if the PIT does not give one)
+     */
+    get partitionSize() {
+        return this.numBlocks * (this.deviceType === PitDeviceType.UFS ? PIT_UFS_BLOCK_SIZE : PIT_SECTOR_SIZE);
+    }
+    
     toString() {
         return `PitEntry(name='${this.partitionName}', id=${this.partitionId}, blocks=${this.numBlocks})`;
     }
@@ -29,6 +36,10 @@ class PitData {
         this.magic = 0;
         this.count = 0;
         this.entries = [];
+        
+        // Bytes kept as-is so serialize() reproduces the original file
+        this.header = null;   // rest of the header after magic/count
+        this.trailer = null;  // anything after the last entry
     }
     
     getEntryByName(name) {
@@ -78,6 +89,7 @@ class PitParser {
         const pit = new PitData();
         pit.magic = magic;
         pit.count = count;
+        pit.header = pitData.slice(0, PIT_HEADER_SIZE);
         
         // Parse entries
         let offset = PIT_HEADER_SIZE;
@@ -96,6 +108,7 @@ class PitParser {
             offset += PIT_ENTRY_SIZE;
         }
         
+        pit.trailer = pitData.slice(offset);
         this.log(`Parsed ${pit.entries.length} PIT entries`);
         
         return pit;
@@ -130,13 +143,16 @@ class PitParser {
      * Serialize PIT data back to bytes
      */
     serialize(pitData) {
-        const totalSize = PIT_HEADER_SIZE + pitData.entries.length * PIT_ENTRY_SIZE;
+        const trailer = pitData.trailer || new Uint8Array(0);
+        const totalSize = PIT_HEADER_SIZE + pitData.entries.length * PIT_ENTRY_SIZE + trailer.length;
         const buffer = new Uint8Array(totalSize);
         
-        // Write header
+        // Write header (fields after magic/count as parsed, zeros for a new PIT)
+        if (pitData.header) {
+            buffer.set(pitData.header.slice(0, PIT_HEADER_SIZE), 0);
+        }
         buffer.set(numberToLE(pitData.magic, 4), 0);
         buffer.set(numberToLE(pitData.count, 4), 4);
-        // Fill rest of header with zeros (already done by Uint8Array constructor)
         
         // Write entries
         let offset = PIT_HEADER_SIZE;
@@ -145,6 +161,7 @@ class PitParser {
             offset += PIT_ENTRY_SIZE;
         }
         
+        buffer.set(trailer, offset);
         return buffer;
     }
     
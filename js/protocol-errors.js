@@ -0,0 +1,210 @@
+/**
+ * Odin protocol errors
+ * OdinProtocolError is what DownloadEngine and OdinFlasher throw when the
+ * device refuses a request or does not answer it. It records where the
+ * session was - phase, command/sub-command, partition - and the device's
+ * code, and maps them to an explanation and next steps for the error panel.
+ */
+
+// What a DeviceResponse code in a refusal means, and what to do about it
+const DEVICE_RESPONSE_HINTS = {
+    [DeviceResponse.FAIL]: {
+        explanation: 'The bootloader refused the request.',
+        remediation: [
+            'Check that the firmware is for this exact model (see Device Connection) and region',
+            'Do not flash an older bootloader than the one installed: its binary version (the 5th character from the end of the version) must not be lower',
+            'Reboot the device into Download Mode and flash again'
+        ]
+    },
+    [DeviceResponse.VERIFY_FAIL]: {
+        explanation: 'The device could not verify what was written: a signature or hash check failed.',
+        remediation: [
+            'Download the firmware again - the file may be corrupt',
+            'Keep Verify Firmware Hash on so a damaged .tar.md5 is caught before flashing',
+            'Flash BL, AP, CP and CSC from the same firmware version; mixing versions fails verification'
+        ]
+    },
+    [DeviceResponse.WRITE_PROTECTION]: {
+        explanation: 'The partition is write-protected (FRP, RMM/KG lock or a secure download policy).',
+        remediation: [
+            'Boot the device, sign in to its Google account, and turn on OEM unlocking if the firmware is not official',
+            'Flash official, signed firmware for this model',
+            'Devices with an active RMM/KG lock only take official firmware until the lock is released'
+        ]
+    },
+    [DeviceResponse.INVALID_DATA]: {
+        explanation: 'The device rejected the data as malformed - a truncated, corrupt or wrongly sized image.',
+        remediation: [
+            'Extract the firmware archive again and reload the files',
+            'Check that every image fits its partition; a different PIT may be needed (Re-Partition)',
+            'Capture USB traffic and attach the trace to a bug report if the files are intact'
+        ]
+    }
+};
+
+// Requests whose refusal means the same whatever the device code
+const REQUEST_HINTS = {
+    '102/5': {
+        explanation: 'The bootloader refused an LZ4-compressed sequence partway through an image.',
+        remediation: [
+            'Flash again without reloading the page: LZ4 images are now decompressed on the computer for this device',
+            'If the device stopped answering, reboot it into Download Mode and reconnect first'
+        ]
+    }
+};
+
+// Where there is no device code (no or unexpected answer): what the phase suggests
+const PHASE_HINTS = {
+    handshake: {
+        explanation: 'The device did not answer the Odin handshake.',
+        remediation: [
+            'Check that the screen says "Downloading..." - the device must be in Download Mode',
+            'Unplug the device, re-enter Download Mode and connect again',
+            'Use a USB 2.0 port directly on the computer and the original cable'
+        ]
+    },
+    'session-setup': {
+        explanation: 'The device did not accept the session setup.',
+        remediation: [
+            'Turn off options the bootloader may not support (F. Reset Time, T-Flash) and try again',
+            'Reboot into Download Mode and reconnect'
+        ]
+    },
+    'partition-check': {
+        explanation: 'An image is larger than the partition it belongs in, so the flash stopped before writing anything.',
+        remediation: [
+            'Check that the firmware is for this exact model and storage size',
+            'Firmware that changes the partition layout needs its PIT and Re-Partition'
+        ]
+    },
+    'pit-download': {
+        explanation: 'The device would not hand over its partition table (PIT).',
+        remediation: [
+            'Reboot into Download Mode and reconnect',
+            'If this persists, flash with a PIT file from the same firmware'
+        ]
+    },
+    'pit-upload': {
+        explanation: 'The device did not accept the new partition table.',
+        remediation: [
+            'Use the PIT that belongs to this model and storage size',
+            'Re-Partition is only needed for firmware that changes the layout; try without it'
+        ]
+    },
+    'nand-erase': {
+        explanation: 'The device did not complete the NAND erase.',
+        remediation: [
+            'Keep the device connected and charged; an erase can take several minutes',
+            'Reboot into Download Mode and try again'
+        ]
+    },
+    transfer: {
+        explanation: 'The device stopped accepting file data.',
+        remediation: [
+            'Use a USB 2.0 port directly on the computer, without a hub, and the original cable',
+            'Check the battery is above 70%',
+            'Reboot into Download Mode and flash again'
+        ]
+    },
+    dump: {
+        explanation: 'The device did not complete the partition readback.',
+        remediation: [
+            'Many retail bootloaders refuse readback; there is no workaround on those devices'
+        ]
+    }
+};
+
+const UNKNOWN_ERROR_HINT = {
+    explanation: 'The device reported an error PyOdin Web does not know.',
+    remediation: [
+        'Reboot into Download Mode and try again',
+        'Capture USB traffic and attach the trace to a bug report'
+    ]
+};
+
+/**
+ * The device refused an Odin request or did not answer it
+ * Every field but the message may be null.
+ */
+class OdinProtocolError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} details - { phase: transport phase ('transfer:<file>', ...), command, subCommand,
+     *                            partition: partition or file name, deviceCode: the device's result code }
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'OdinProtocolError';
+        this.phase = details.phase ?? null;
+        this.command = details.command ?? null;
+        this.subCommand = details.subCommand ?? null;
+        this.partition = details.partition ?? null;
+        this.deviceCode = details.deviceCode ?? null;
+    }
+
+    /**
+     * Request as Odin writes it, e.g. "102/3"
+     */
+    get request() {
+        if (this.command === null) {
+            return null;
+        }
+        return this.subCommand === null ? String(this.command) : `${this.command}/${this.subCommand}`;
+    }
+
+    /**
+     * { explanation, remediation } for the request, else the device code, else the phase
+     */
+    get hint() {
+        if (REQUEST_HINTS[this.request]) {
+            return REQUEST_HINTS[this.request];
+        }
+        if (this.deviceCode !== null && this.deviceCode !== 0) {
+            return DEVICE_RESPONSE_HINTS[this.deviceCode] || UNKNOWN_ERROR_HINT;
+        }
+        const phase = this.phase ? this.phase.split(':')[0] : null;
+        return PHASE_HINTS[phase] || UNKNOWN_ERROR_HINT;
+    }
+
+    get explanation() {
+        return this.hint.explanation;
+    }
+
+    /**
+     * Next steps, most likely fix first
+     */
+    get remediation() {
+        return this.hint.remediation;
+    }
+
+    /**
+     * [label, value] pairs of what is known, for display
+     */
+    get details() {
+        const codeName = Object.keys(DeviceResponse).find(key => DeviceResponse[key] === this.deviceCode);
+        return [
+            ['Phase', this.phase],
+            ['Command', this.request],
+            ['Partition', this.partition],
+            ['Device code', this.deviceCode === null ? null : `${this.deviceCode}${codeName ? ` (${codeName})` : ''}`]
+        ].filter(([, value]) => value !== null);
+    }
+
+    /**
+     * Plain copy that survives postMessage (see fromJSON)
+     */
+    toJSON() {
+        return {
+            message: this.message,
+            phase: this.phase,
+            command: this.command,
+            subCommand: this.subCommand,
+            partition: this.partition,
+            deviceCode: this.deviceCode
+        };
+    }
+
+    static fromJSON(plain) {
+        return new OdinProtocolError(plain.message, plain);
+    }
+}
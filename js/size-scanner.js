@@ -0,0 +1,172 @@
+/**
+ * Exact firmware item sizes, found before the flash starts
+ * 100/2 announces the total, progress is measured against it and every
+ * image is checked against its PIT partition, so none of them may be a guess.
+ * LZ4 and sparse sizes come from headers; gzip has none that can be trusted:
+ *   LZ4:    each frame's content size, or its block headers (every block
+ *           but the last is full; the last one is sized from its sequences)
+ *   GZIP:   counted by decompressing it - the ISIZE trailer is the size
+ *           modulo 4GB, and only of the last member
+ *   Sparse: total blocks × block size from the sparse header
+ */
+
+class ItemSizes {
+    constructor(storedSize) {
+        this.storedSize = storedSize;   // As stored in the firmware
+        this.decodedSize = storedSize;  // After decompression on the host
+        this.imageSize = storedSize;    // Written to the partition (sparse images expanded)
+        this.sparse = false;
+        this.lz4BlockSize = 0;          // Largest block size of the item's LZ4 frames (LZ4 items)
+    }
+}
+
+class SizeScanner {
+    constructor(verbose = false) {
+        this.verbose = verbose;
+    }
+
+    log(message) {
+        if (this.verbose) {
+            log(`[SizeScanner] ${message}`, 'info');
+        }
+    }
+
+    /**
+     * @param {FirmwareItem} item
+     * @param {string} compression - 'lz4', 'gzip' or 'none' (see DownloadEngine.compressionOf)
+     * @returns {Promise<ItemSizes>}
+     */
+    async scan(item, compression) {
+        const sizes = new ItemSizes(item.data ? item.data.length : item.info.actualSize);
+
+        if (compression === 'lz4') {
+            const lz4 = await this.lz4Size(item, sizes.storedSize);
+            sizes.decodedSize = lz4.decodedSize;
+            sizes.lz4BlockSize = lz4.blockSize;
+        } else if (compression === 'gzip') {
+            sizes.decodedSize = await this.gzipSize(item);
+        }
+        sizes.imageSize = sizes.decodedSize;
+
+        const sparseSize = await this.sparseSize(item, compression);
+        if (sparseSize !== null) {
+            sizes.sparse = true;
+            sizes.imageSize = sparseSize;
+        }
+
+        this.log(`${item.filename}: stored ${sizes.storedSize}, decoded ${sizes.decodedSize}, image ${sizes.imageSize}${sizes.sparse ? ' (sparse)' : ''}`);
+        return sizes;
+    }
+
+    /**
+     * Decompressed size of an LZ4 item (one or more frames), and the largest
+     * block size its frames declare
+     * @returns {Promise<Object>} { decodedSize, blockSize }
+     */
+    async lz4Size(item, storedSize) {
+        const readUint32 = async (offset) => {
+            const bytes = await readItemSource(item, offset, 4);
+            if (bytes.length < 4) {
+                throw new Error(`${item.filename}: LZ4 data ends in the middle of a frame`);
+            }
+            return new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true);
+        };
+
+        let offset = 0;
+        let size = 0;
+        let largestBlockSize = 0;
+
+        while (offset < storedSize) {
+            const header = await readItemSource(item, offset, Math.min(LZ4_MAX_FRAME_HEADER_SIZE, storedSize - offset));
+            const frame = StreamingLZ4Decoder.parseFrameHeader(header);
+            const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+            const contentSize = frame.contentSize ? view.getUint32(6, true) + view.getUint32(10, true) * 0x100000000 : null;
+            largestBlockSize = Math.max(largestBlockSize, frame.maxBlockSize);
+
+            // Walk the blocks to the end mark: it is where the next frame starts
+            let cursor = offset + frame.headerSize;
+            let blocksSize = 0;
+            let lastCompressed = null;  // { offset, size } of the last block if it was compressed
+
+            for (;;) {
+                const blockSize = await readUint32(cursor);
+                if (blockSize === 0) {
+                    cursor += 4 + (frame.contentChecksum ? 4 : 0);
+                    break;
+                }
+
+                const dataSize = blockSize & 0x7FFFFFFF;
+                const isUncompressed = (blockSize & 0x80000000) !== 0;
+                if (dataSize > frame.maxBlockSize) {
+                    throw new Error(`${item.filename}: LZ4 block at ${cursor} is larger than the frame's ${formatBytes(frame.maxBlockSize)} blocks`);
+                }
+                blocksSize += isUncompressed ? dataSize : frame.maxBlockSize;
+                lastCompressed = isUncompressed ? null : { offset: cursor + 4, size: dataSize };
+                cursor += 4 + dataSize + (frame.blockChecksum ? 4 : 0);
+            }
+
+            if (contentSize === null && lastCompressed) {
+                const block = await readItemSource(item, lastCompressed.offset, lastCompressed.size);
+                blocksSize += StreamingLZ4Decoder.decodedBlockSize(block) - frame.maxBlockSize;
+            }
+
+            size += contentSize ?? blocksSize;
+            offset = cursor;
+        }
+
+        return { decodedSize: size, blockSize: largestBlockSize };
+    }
+
+    /**
+     * Decompressed size of a GZIP item, counted through the same decompressor
+     * the transfer uses, so the two cannot disagree
+     */
+    async gzipSize(item) {
+        const reader = itemSourceStream(item).pipeThrough(createGzipDecompressStream()).getReader();
+        let size = 0;
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) {
+                return size;
+            }
+            size += value.length;
+        }
+    }
+
+    /**
+     * Expanded size if the (decompressed) item is an Android sparse image, else null
+     * Reads only as far as the sparse header; the rest of the stream is cancelled.
+     */
+    async sparseSize(item, compression) {
+        let stream = itemSourceStream(item);
+        if (compression === 'lz4') {
+            stream = stream.pipeThrough(new LZ4DecompressStream(this.verbose));
+        } else if (compression === 'gzip') {
+            stream = stream.pipeThrough(createGzipDecompressStream());
+        }
+
+        const reader = stream.getReader();
+        const queue = new ByteQueue();
+        try {
+            while (queue.length < SPARSE_HEADER_SIZE) {
+                const { value, done } = await reader.read();
+                if (done) {
+                    break;
+                }
+                queue.push(value);
+            }
+        } finally {
+            await reader.cancel().catch(() => {});
+        }
+
+        if (queue.length < SPARSE_HEADER_SIZE) {
+            return null;
+        }
+
+        const header = new DataView(queue.take(SPARSE_HEADER_SIZE).slice().buffer);
+        if (header.getUint32(0, true) !== SPARSE_MAGIC) {
+            return null;
+        }
+        return header.getUint32(12, true) * header.getUint32(16, true);
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * Transfer pipeline benchmark
+ * Sends a firmware item through DownloadEngine's pipeline into a MockTransport
+ * that takes as long as a USB link and the device's storage of the given
+ * speeds would. Disk reads and decompression are real, so the difference from
+ * a run with read-ahead off is what pipelining gains on that firmware - no
+ * device needed. tune() times the same item with several
+ * block and sequence sizes, as advice for the advanced transfer settings.
+ */
+
+class BenchmarkRun {
+    constructor(label, bytes, seconds) {
+        this.label = label;
+        this.bytes = bytes;
+        this.seconds = seconds;
+    }
+
+    get speed() {
+        return this.seconds > 0 ? this.bytes / this.seconds : 0;
+    }
+
+    get summary() {
+        return `${this.label}: ${formatSpeed(this.speed)} (${formatBytes(this.bytes)} in ${formatDuration(this.seconds)})`;
+    }
+}
+
+class BenchmarkResult {
+    constructor(filename, linkSpeed, flashSpeed, runs) {
+        this.filename = filename;
+        this.linkSpeed = linkSpeed;
+        this.flashSpeed = flashSpeed;
+        this.runs = runs;  // BenchmarkRun, the first one the baseline
+    }
+
+    /**
+     * Each run's speed relative to the first
+     */
+    get speedups() {
+        const base = this.runs[0].speed;
+        return this.runs.map(run => base > 0 ? run.speed / base : 0);
+    }
+
+    get summary() {
+        const speedups = this.speedups;
+        const runs = this.runs.map((run, i) => i === 0 ? run.summary : `${run.summary}, ×${speedups[i].toFixed(2)}`);
+        return `${this.filename} over a simulated ${formatSpeed(this.linkSpeed)} link and ${formatSpeed(this.flashSpeed)} storage - ${runs.join('; ')}`;
+    }
+}
+
+/**
+ * Outcome of TransferBenchmark.tune(), fastest run first
+ */
+class TuningResult {
+    constructor(filename, runs) {
+        this.filename = filename;
+        this.runs = runs;  // BenchmarkRun with filePartSize and sequenceSize
+    }
+
+    get best() {
+        return this.runs[0];
+    }
+
+    get summary() {
+        return `${this.filename}: ` + this.runs.map(run => `${run.label} ${formatSpeed(run.speed)}`).join('; ');
+    }
+}
+
+class TransferBenchmark {
+    constructor(verbose = false) {
+        this.verbose = verbose;
+    }
+
+    log(message) {
+        if (this.verbose) {
+            log(`[TransferBenchmark] ${message}`, 'info');
+        }
+    }
+
+    /**
+     * Time an item with read-ahead off, then pipelined
+     * Both are real transfers over the same simulated link and storage; the
+     * first only reads and decompresses as far as the sequence being sent.
+     * @param {FirmwareItem} item - Ideally a large compressed one
+     * @param {Object} options - { linkSpeed, flashSpeed: simulated bytes/s, protocolVersion: 2
+     *                            (the default) decompresses on the host, 3+ sends LZ4 as stored }
+     * @returns {Promise<BenchmarkResult>}
+     */
+    async run(item, options = {}) {
+        const linkSpeed = options.linkSpeed || BENCHMARK_LINK_SPEED;
+        const flashSpeed = options.flashSpeed || BENCHMARK_FLASH_SPEED;
+
+        const serial = await this.measure(item, { ...options, linkSpeed, flashSpeed, readAhead: false });
+        serial.label = 'No read-ahead';
+        this.log(serial.summary);
+
+        const pipelined = await this.measure(item, { ...options, linkSpeed, flashSpeed });
+        this.log(pipelined.summary);
+
+        return new BenchmarkResult(item.filename, linkSpeed, flashSpeed, [serial, pipelined]);
+    }
+
+    /**
+     * Time an item pipelined with every combination of block and sequence size
+     * @param {FirmwareItem} item
+     * @param {Object} options - As for run(), plus { filePartSizes, sequenceSizes: candidates in bytes }
+     * @returns {Promise<TuningResult>}
+     */
+    async tune(item, options = {}) {
+        const settings = {
+            ...options,
+            linkSpeed: options.linkSpeed || BENCHMARK_LINK_SPEED,
+            flashSpeed: options.flashSpeed || BENCHMARK_FLASH_SPEED
+        };
+        const filePartSizes = options.filePartSizes || [...new Set(TRANSFER_PROFILES.map(profile => profile.filePartSize))];
+        const sequenceSizes = options.sequenceSizes || [...new Set(TRANSFER_PROFILES.map(profile => profile.sequenceSize))];
+
+        const runs = [];
+        for (const filePartSize of filePartSizes) {
+            for (const sequenceSize of sequenceSizes) {
+                const run = await this.measure(item, { ...settings, filePartSize, sequenceSize });
+                run.label = `${formatBytes(filePartSize)} blocks / ${formatBytes(sequenceSize)} sequences`;
+                run.filePartSize = filePartSize;
+                run.sequenceSize = sequenceSize;
+                this.log(run.summary);
+                runs.push(run);
+            }
+        }
+
+        runs.sort((a, b) => b.speed - a.speed);
+        return new TuningResult(item.filename, runs);
+    }
+
+    /**
+     * One transfer of the item into a MockTransport of the given speeds (0: instant)
+     * @param {Object} settings - { linkSpeed, flashSpeed, protocolVersion, filePartSize, sequenceSize,
+     *                             readAhead: false to read and decompress only what is being sent }
+     * @returns {Promise<BenchmarkRun>}
+     */
+    async measure(item, settings) {
+        const protocolVersion = settings.protocolVersion || 2;
+        const transport = new MockTransport(MockTransport.odinResponder({ protocolVersion }));
+        transport.keepWrites = false;
+        transport.linkSpeed = settings.linkSpeed;
+        transport.flashSpeed = settings.flashSpeed;
+        transport.writeLatency = settings.linkSpeed > 0 ? BENCHMARK_WRITE_LATENCY : 0;
+        await transport.open();
+
+        const engine = new DownloadEngine(transport, this.verbose);
+        engine.protocolVersion = protocolVersion;
+        const profile = TransferProfile.forProtocol(protocolVersion);
+        engine.fileTransferPacketSize = settings.filePartSize || profile.filePartSize;
+        engine.sequenceSize = settings.sequenceSize || profile.sequenceSize;
+        if (settings.readAhead === false) {
+            engine.readAheadBytes = 0;
+            engine.readAheadSequences = 0;
+        }
+
+        // A copy, so the benchmark leaves the firmware's PIT matching alone
+        const copy = new FirmwareItem(item.filename, item.data, { ...item.info });
+        copy.sizes = item.sizes;
+        await engine.measureItem(copy);
+
+        const start = performance.now();
+        await engine.transferFile(copy);
+        const seconds = (performance.now() - start) / 1000;
+
+        await transport.close();
+        return new BenchmarkRun('Pipelined', engine.transferSizeOf(copy), seconds);
+    }
+}
@@ -0,0 +1,410 @@
+/**
+ * File transfer pipeline stages (Web Streams)
+ * DownloadEngine.transferFile builds, for every item:
+ *   source (Blob.stream() or byteArrayStream) → ReadAheadStream → optional
+ *   decompression (LZ4DecompressStream / gzip / SparseExpandStream) →
+ *   SequenceChunker → the engine's sequence sink (102/2 or 102/5, data
+ *   blocks, 102/3 or 102/6)
+ * Every stage is a TransformStream, so a slow device holds back reading
+ * and decompression instead of letting them run ahead into memory; the
+ * read-ahead bounds are what lets them overlap with the USB transfer.
+ */
+
+// Shared buffers that large fill / don't-care runs are sent from
+const PIPELINE_FILL_SIZE = 1024 * 1024;
+
+/**
+ * FIFO of byte chunks that hands back exactly the number of bytes asked for
+ */
+class ByteQueue {
+    constructor() {
+        this.chunks = [];
+        this.length = 0;
+    }
+
+    push(chunk) {
+        if (chunk.length > 0) {
+            this.chunks.push(chunk);
+            this.length += chunk.length;
+        }
+    }
+
+    /**
+     * Put bytes back at the front
+     */
+    unshift(chunk) {
+        if (chunk.length > 0) {
+            this.chunks.unshift(chunk);
+            this.length += chunk.length;
+        }
+    }
+
+    /**
+     * Remove and return the first n bytes (n <= length); no copy if they are in one chunk
+     */
+    take(n) {
+        const first = this.chunks[0];
+        if (first && first.length >= n) {
+            this.chunks[0] = first.subarray(n);
+            if (this.chunks[0].length === 0) {
+                this.chunks.shift();
+            }
+            this.length -= n;
+            return first.subarray(0, n);
+        }
+
+        const out = new Uint8Array(n);
+        let pos = 0;
+        while (pos < n) {
+            const chunk = this.chunks[0];
+            const count = Math.min(chunk.length, n - pos);
+            out.set(chunk.subarray(0, count), pos);
+            pos += count;
+            if (count === chunk.length) {
+                this.chunks.shift();
+            } else {
+                this.chunks[0] = chunk.subarray(count);
+            }
+        }
+        this.length -= n;
+        return out;
+    }
+
+    /**
+     * Copy of the first n bytes, left in the queue
+     */
+    peek(n) {
+        const out = this.take(n).slice();
+        this.unshift(out);
+        return out;
+    }
+}
+
+/**
+ * ReadableStream over an in-memory file, in slices (no copy)
+ */
+function byteArrayStream(data, chunkSize = PIPELINE_FILL_SIZE) {
+    let offset = 0;
+    return new ReadableStream({
+        pull(controller) {
+            if (offset >= data.length) {
+                controller.close();
+                return;
+            }
+            controller.enqueue(data.subarray(offset, offset + chunkSize));
+            offset += chunkSize;
+        }
+    });
+}
+
+/**
+ * Bounded read-ahead: keeps pulling from upstream (the disk) while the
+ * stages after it are busy, until `highWaterMark` bytes are waiting
+ */
+class ReadAheadStream extends TransformStream {
+    constructor(highWaterMark = READ_AHEAD_BYTES) {
+        super({}, undefined, new ByteLengthQueuingStrategy({ highWaterMark }));
+    }
+}
+
+/**
+ * A firmware item's bytes as stored (its slice of the TAR, or the pre-loaded data)
+ */
+function itemSourceStream(item) {
+    if (item.data) {
+        return byteArrayStream(item.data);
+    }
+
+    const start = item.info.fileOffset;
+    return item.info.fileHandle.slice(start, start + item.info.actualSize).stream();
+}
+
+/**
+ * Part of a firmware item as stored, without reading the rest
+ */
+async function readItemSource(item, start, length) {
+    if (item.data) {
+        return item.data.subarray(start, start + length);
+    }
+
+    const fileStart = item.info.fileOffset + start;
+    return new Uint8Array(await item.info.fileHandle.slice(fileStart, fileStart + length).arrayBuffer());
+}
+
+/**
+ * LZ4 frame(s) → decompressed bytes, one block at a time
+ * Handles linked blocks (the lz4 tool's default) by keeping the last 64KB
+ * of output as the dictionary, and concatenated frames.
+ */
+class LZ4DecompressStream extends TransformStream {
+    constructor(verbose = false) {
+        const decoder = new StreamingLZ4Decoder(verbose);
+        const queue = new ByteQueue();
+        let frame = null;       // Current frame's header, null between frames
+        let history = null;     // Dictionary for linked blocks
+        let frames = 0;
+
+        const decode = (controller) => {
+            for (;;) {
+                if (!frame) {
+                    if (queue.length < 7) {
+                        return;
+                    }
+                    const flg = queue.peek(5)[4];
+                    const headerSize = 7 + ((flg >> 3) & 0x1 ? 8 : 0) + (flg & 0x1 ? 4 : 0);
+                    if (queue.length < headerSize) {
+                        return;
+                    }
+                    frame = StreamingLZ4Decoder.parseFrameHeader(queue.take(headerSize));
+                    history = null;
+                    continue;
+                }
+
+                if (queue.length < 4) {
+                    return;
+                }
+                const blockSize = new DataView(queue.peek(4).buffer).getUint32(0, true);
+
+                // End mark (and content checksum) closes the frame
+                if (blockSize === 0) {
+                    const trailer = 4 + (frame.contentChecksum ? 4 : 0);
+                    if (queue.length < trailer) {
+                        return;
+                    }
+                    queue.take(trailer);
+                    frame = null;
+                    frames++;
+                    continue;
+                }
+
+                const isUncompressed = (blockSize & 0x80000000) !== 0;
+                const dataSize = blockSize & 0x7FFFFFFF;
+                if (dataSize > frame.maxBlockSize) {
+                    throw new Error(`LZ4 block size ${dataSize} exceeds max ${frame.maxBlockSize}`);
+                }
+
+                const total = 4 + dataSize + (frame.blockChecksum ? 4 : 0);
+                if (queue.length < total) {
+                    return;
+                }
+                const block = queue.take(total).subarray(4, 4 + dataSize);
+
+                const output = isUncompressed ? block.slice() :
+                    decoder.decompressBlock(block, frame.maxBlockSize, frame.blockIndependence ? null : history);
+                if (!frame.blockIndependence) {
+                    history = output.length >= 65536 ? output.subarray(output.length - 65536) :
+                        concatUint8Arrays(history || new Uint8Array(0), output).slice(-65536);
+                }
+                controller.enqueue(output);
+            }
+        };
+
+        super({
+            transform(chunk, controller) {
+                queue.push(chunk);
+                decode(controller);
+            },
+            flush() {
+                if (frame || queue.length > 0 || frames === 0) {
+                    throw new Error('LZ4 data ended in the middle of a frame');
+                }
+            }
+        });
+    }
+}
+
+/**
+ * GZIP → decompressed bytes (DecompressionStream, or pako where it is missing)
+ */
+function createGzipDecompressStream() {
+    if (typeof DecompressionStream !== 'undefined') {
+        return new DecompressionStream('gzip');
+    }
+    if (typeof pako === 'undefined') {
+        throw new Error('pako library required for GZIP decompression');
+    }
+
+    const inflate = new pako.Inflate();
+    let output = null;
+    inflate.onData = (chunk) => output.enqueue(chunk);
+
+    return new TransformStream({
+        transform(chunk, controller) {
+            output = controller;
+            inflate.push(chunk, false);
+            if (inflate.err) {
+                throw new Error(`GZIP: ${inflate.msg}`);
+            }
+        },
+        flush(controller) {
+            output = controller;
+            inflate.push(new Uint8Array(0), true);
+            if (inflate.err) {
+                throw new Error(`GZIP: ${inflate.msg}`);
+            }
+        }
+    });
+}
+
+/**
+ * Android sparse image → raw image; anything else passes through unchanged
+ * Fill and don't-care runs are sent from shared buffers, so a run of
+ * several GB costs no memory.
+ */
+class SparseExpandStream extends TransformStream {
+    constructor() {
+        const queue = new ByteQueue();
+        let mode = 'detect';    // detect, header, chunk, body, passthrough
+        let header = null;      // { fileHeaderSize, chunkHeaderSize, blockSize }
+        let chunk = null;       // { type, outputSize, bodySize }
+        let fill = null;
+
+        const repeat = (controller, buffer, size) => {
+            for (let left = size; left > 0; left -= buffer.length) {
+                controller.enqueue(left >= buffer.length ? buffer : buffer.subarray(0, left));
+            }
+        };
+
+        const expand = (controller) => {
+            for (;;) {
+                if (mode === 'passthrough') {
+                    if (queue.length > 0) {
+                        controller.enqueue(queue.take(queue.length));
+                    }
+                    return;
+                }
+
+                if (mode === 'detect') {
+                    if (queue.length < 4) {
+                        return;
+                    }
+                    const magic = new DataView(queue.peek(4).buffer).getUint32(0, true);
+                    mode = magic === SPARSE_MAGIC ? 'header' : 'passthrough';
+                    continue;
+                }
+
+                if (mode === 'header') {
+                    if (queue.length < SPARSE_HEADER_SIZE) {
+                        return;
+                    }
+                    const view = new DataView(queue.peek(SPARSE_HEADER_SIZE).buffer);
+                    header = {
+                        fileHeaderSize: view.getUint16(8, true),
+                        chunkHeaderSize: view.getUint16(10, true),
+                        blockSize: view.getUint32(12, true)
+                    };
+                    if (queue.length < header.fileHeaderSize) {
+                        return;
+                    }
+                    queue.take(header.fileHeaderSize);
+                    mode = 'chunk';
+                    continue;
+                }
+
+                if (mode === 'chunk') {
+                    if (queue.length < header.chunkHeaderSize) {
+                        return;
+                    }
+                    const view = new DataView(queue.take(header.chunkHeaderSize).slice().buffer);
+                    const type = view.getUint16(0, true);
+                    chunk = {
+                        type,
+                        outputSize: type === SparseChunkType.CRC32 ? 0 : view.getUint32(4, true) * header.blockSize,
+                        bodySize: view.getUint32(8, true) - header.chunkHeaderSize
+                    };
+                    mode = 'body';
+                    continue;
+                }
+
+                // mode === 'body'
+                if (chunk.type === SparseChunkType.RAW) {
+                    // Raw data can be large: pass it on as it arrives
+                    const count = Math.min(queue.length, chunk.bodySize);
+                    if (count === 0) {
+                        return;
+                    }
+                    controller.enqueue(queue.take(count));
+                    chunk.bodySize -= count;
+                } else {
+                    if (queue.length < chunk.bodySize) {
+                        return;
+                    }
+                    const body = queue.take(chunk.bodySize);
+                    if (chunk.type === SparseChunkType.FILL) {
+                        fill = new Uint8Array(PIPELINE_FILL_SIZE);
+                        new Uint32Array(fill.buffer).fill(new DataView(body.slice().buffer).getUint32(0, true));
+                        repeat(controller, fill, chunk.outputSize);
+                    } else if (chunk.type === SparseChunkType.DONT_CARE) {
+                        repeat(controller, SparseExpandStream.zeros(), chunk.outputSize);
+                    } else if (chunk.type !== SparseChunkType.CRC32) {
+                        throw new Error(`Unknown sparse chunk type 0x${chunk.type.toString(16)}`);
+                    }
+                    chunk.bodySize = 0;
+                }
+                if (chunk.bodySize === 0) {
+                    mode = 'chunk';
+                }
+            }
+        };
+
+        super({
+            transform(data, controller) {
+                queue.push(data);
+                expand(controller);
+            },
+            flush(controller) {
+                if (mode === 'detect') {
+                    mode = 'passthrough';
+                    expand(controller);
+                }
+                if (mode === 'body' || queue.length > 0) {
+                    throw new Error('Sparse image ended in the middle of a chunk');
+                }
+            }
+        });
+    }
+
+    static zeros() {
+        if (!SparseExpandStream.zeroBuffer) {
+            SparseExpandStream.zeroBuffer = new Uint8Array(PIPELINE_FILL_SIZE);
+        }
+        return SparseExpandStream.zeroBuffer;
+    }
+}
+
+/**
+ * Bytes → sequences of at most `sequenceSize` bytes, as { data, final }
+ * A sequence is only cut while more data follows, so the last one is
+ * always marked final.
+ */
+class SequenceChunker extends TransformStream {
+    /**
+     * @param {number} sequenceSize - Largest sequence
+     * @param {Function} cut - (window) => how many bytes of a full window to send
+     *                         (e.g. up to an LZ4 block boundary); null to send it all
+     */
+    constructor(sequenceSize = MAX_SEQUENCE_SIZE, cut = null) {
+        const queue = new ByteQueue();
+
+        super({
+            transform(data, controller) {
+                queue.push(data);
+
+                while (queue.length > sequenceSize) {
+                    const window = queue.take(sequenceSize);
+                    const length = cut ? cut(window) : window.length;
+                    if (length <= 0) {
+                        throw new Error(`Could not cut a sequence of at most ${formatBytes(sequenceSize)}`);
+                    }
+                    queue.unshift(window.subarray(length));
+                    controller.enqueue({ data: window.subarray(0, length), final: false });
+                }
+            },
+            flush(controller) {
+                if (queue.length > 0) {
+                    controller.enqueue({ data: queue.take(queue.length), final: true });
+                }
+            }
+        });
+    }
+}
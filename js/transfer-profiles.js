@@ -0,0 +1,155 @@
+/**
+ * Transfer profiles
+ * Data block and sequence sizes of a file transfer, per Odin protocol
+ * version. The block size is the file part size agreed with 100/5;
+ * bootloaders whose 100/0 reply carries no default packet size do not take
+ * 100/5 and keep DEFAULT_FILE_PART_SIZE. As in Heimdall, the default packet
+ * size only says whether 100/5 is taken: its value is not a block size the
+ * profiles follow. Both sizes can be overridden from the advanced transfer
+ * settings (persisted in localStorage).
+ */
+
+const TRANSFER_SETTINGS_STORAGE_KEY = 'pyodin-transfer-settings';
+
+class TransferProfile {
+    /**
+     * @param {string} name - Shown in the log and the settings panel
+     * @param {number} minProtocol - Lowest protocol version the profile is for
+     * @param {number} filePartSize - Data block size, sent in 100/5
+     * @param {number} sequenceSize - Largest sequence (bytes between a begin and its finalize)
+     */
+    constructor(name, minProtocol, filePartSize, sequenceSize) {
+        this.name = name;
+        this.minProtocol = minProtocol;
+        this.filePartSize = filePartSize;
+        this.sequenceSize = sequenceSize;
+    }
+
+    /**
+     * Built-in profile for a protocol version
+     */
+    static forProtocol(version) {
+        let profile = TRANSFER_PROFILES[0];
+        for (const candidate of TRANSFER_PROFILES) {
+            if (version >= candidate.minProtocol) {
+                profile = candidate;
+            }
+        }
+        return profile;
+    }
+
+    /**
+     * This profile with the user's sizes where they set one
+     * @param {Object} overrides - { filePartSize, sequenceSize }, null for "as negotiated"
+     */
+    withOverrides(overrides) {
+        const filePartSize = overrides?.filePartSize || this.filePartSize;
+        const sequenceSize = overrides?.sequenceSize || this.sequenceSize;
+        if (filePartSize === this.filePartSize && sequenceSize === this.sequenceSize) {
+            return this;
+        }
+        return new TransferProfile(`${this.name}, custom`, this.minProtocol, filePartSize, sequenceSize);
+    }
+
+    toString() {
+        return `${this.name}: ${formatBytes(this.filePartSize)} blocks, ${formatBytes(this.sequenceSize)} sequences`;
+    }
+}
+
+// Protocol 2 bootloaders (older eMMC devices) are known good with Heimdall's
+// 128KB blocks; from protocol 3 they take 1MB blocks
+const TRANSFER_PROFILES = [
+    new TransferProfile('Protocol 2', 0, DEFAULT_FILE_PART_SIZE, MAX_SEQUENCE_SIZE),
+    new TransferProfile('Protocol 3+', 3, 0x100000, MAX_SEQUENCE_SIZE)
+];
+
+/**
+ * The user's transfer size overrides (null: use the negotiated profile)
+ */
+class TransferSettings {
+    /**
+     * @param {Storage} storage - Defaults to localStorage; without one the settings only live in memory
+     */
+    constructor(storage = null) {
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.filePartSize = null;
+        this.sequenceSize = null;
+        this.load();
+    }
+
+    /**
+     * Settings shared by the connect buttons and the settings panel
+     */
+    static shared() {
+        if (!TransferSettings.instance) {
+            TransferSettings.instance = new TransferSettings();
+        }
+        return TransferSettings.instance;
+    }
+
+    /**
+     * What OdinFlasher.setTransferOverrides() takes (null when nothing is overridden)
+     */
+    get overrides() {
+        if (!this.filePartSize && !this.sequenceSize) {
+            return null;
+        }
+        return { filePartSize: this.filePartSize, sequenceSize: this.sequenceSize };
+    }
+
+    /**
+     * Set both overrides (null or 0 for "as negotiated")
+     */
+    set(filePartSize, sequenceSize) {
+        const partSize = filePartSize || null;
+        const seqSize = sequenceSize || null;
+        TransferSettings.validate(partSize, seqSize);
+
+        this.filePartSize = partSize;
+        this.sequenceSize = seqSize;
+        this.save();
+    }
+
+    load() {
+        this.filePartSize = null;
+        this.sequenceSize = null;
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(this.storage.getItem(TRANSFER_SETTINGS_STORAGE_KEY) || '{}');
+            TransferSettings.validate(stored.filePartSize || null, stored.sequenceSize || null);
+            this.filePartSize = stored.filePartSize || null;
+            this.sequenceSize = stored.sequenceSize || null;
+        } catch (error) {
+            log(`Ignoring unreadable transfer settings: ${error.message}`, 'warning');
+        }
+    }
+
+    save() {
+        if (!this.storage) {
+            return;
+        }
+
+        this.storage.setItem(TRANSFER_SETTINGS_STORAGE_KEY, JSON.stringify({
+            filePartSize: this.filePartSize,
+            sequenceSize: this.sequenceSize
+        }));
+    }
+
+    /**
+     * Throw unless the sizes are ones a bootloader can be sent
+     */
+    static validate(filePartSize, sequenceSize) {
+        if (filePartSize !== null && (!Number.isInteger(filePartSize) || filePartSize % USB_PACKET_SIZE !== 0 ||
+                filePartSize < MIN_FILE_PART_SIZE || filePartSize > USB_MAX_PACKET_SIZE)) {
+            throw new Error(`Invalid block size ${filePartSize} - expected a multiple of ${USB_PACKET_SIZE} from ` +
+                `${formatBytes(MIN_FILE_PART_SIZE)} to ${formatBytes(USB_MAX_PACKET_SIZE)}`);
+        }
+        if (sequenceSize !== null && (!Number.isInteger(sequenceSize) || sequenceSize < USB_MAX_PACKET_SIZE ||
+                sequenceSize > MAX_SEQUENCE_SIZE_LIMIT)) {
+            throw new Error(`Invalid sequence size ${sequenceSize} - expected ${formatBytes(USB_MAX_PACKET_SIZE)} to ${formatBytes(MAX_SEQUENCE_SIZE_LIMIT)}`);
+        }
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * Transfer statistics
+ * TransferTiming counts bus time per direction (filled in by transports).
+ * TransferStats is kept by DownloadEngine for one flash: rolling MB/s,
+ * ETA across all items, and per-partition time split into USB time (data
+ * blocks and their acks) and flash-write wait (102/3 finalize response).
+ * A slow cable shows as low USB throughput; slow eMMC/UFS as a long wait.
+ */
+
+const STATS_SPEED_WINDOW_MS = 5000;
+
+class TransferTiming {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.out = { count: 0, bytes: 0, ms: 0 };
+        this.in = { count: 0, bytes: 0, ms: 0 };
+    }
+
+    /**
+     * @param {string} direction - 'in' or 'out'
+     * @param {number} bytes - Bytes actually moved
+     * @param {number} ms - Time the transfer took
+     */
+    record(direction, bytes, ms) {
+        const entry = direction === 'in' ? this.in : this.out;
+        entry.count++;
+        entry.bytes += bytes;
+        entry.ms += ms;
+    }
+
+    /**
+     * Bytes per second while a transfer in that direction was on the bus
+     */
+    throughput(direction) {
+        const entry = direction === 'in' ? this.in : this.out;
+        return entry.ms > 0 ? entry.bytes / (entry.ms / 1000) : 0;
+    }
+}
+
+class PartitionStats {
+    constructor(name, size) {
+        this.name = name;
+        this.size = size;
+        this.bytes = 0;
+        this.startTime = performance.now();
+        this.elapsedMs = 0;
+        this.usbMs = 0;
+        this.flashWaitMs = 0;
+    }
+
+    get speed() {
+        return this.usbMs > 0 ? this.bytes / (this.usbMs / 1000) : 0;
+    }
+}
+
+class TransferStats {
+    /**
+     * @param {number} totalBytes - Bytes announced in 100/2 (exact, see SizeScanner)
+     * @param {TransferTiming} timing - The transport's bus timing, if any
+     */
+    constructor(totalBytes, timing = null) {
+        this.totalBytes = totalBytes;
+        this.timing = timing;
+        this.timingStart = timing ? { bytes: timing.out.bytes, ms: timing.out.ms } : null;
+        this.bytesTransferred = 0;
+        this.startTime = performance.now();
+        this.usbMs = 0;
+        this.flashWaitMs = 0;
+        this.partitions = [];
+        this.current = null;
+        this.samples = [{ time: this.startTime, bytes: 0 }];
+    }
+
+    startPartition(name, size) {
+        this.endPartition();
+        this.current = new PartitionStats(name, size);
+        this.partitions.push(this.current);
+        return this.current;
+    }
+
+    endPartition() {
+        if (this.current) {
+            this.current.elapsedMs = performance.now() - this.current.startTime;
+            this.current = null;
+        }
+    }
+
+    /**
+     * A data block was sent and acknowledged
+     */
+    addBlock(bytes, ms) {
+        const now = performance.now();
+        this.bytesTransferred += bytes;
+        this.usbMs += ms;
+        if (this.current) {
+            this.current.bytes += bytes;
+            this.current.usbMs += ms;
+        }
+
+        this.samples.push({ time: now, bytes: this.bytesTransferred });
+        while (this.samples.length > 2 && now - this.samples[1].time > STATS_SPEED_WINDOW_MS) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * Time the device spent writing a sequence before answering 102/3
+     */
+    addFlashWait(ms) {
+        this.flashWaitMs += ms;
+        if (this.current) {
+            this.current.flashWaitMs += ms;
+        }
+    }
+
+    /**
+     * Rolling throughput over the last few seconds, in bytes/s
+     */
+    get speed() {
+        const first = this.samples[0];
+        const last = this.samples[this.samples.length - 1];
+        const ms = last.time - first.time;
+        return ms > 0 ? (last.bytes - first.bytes) / (ms / 1000) : 0;
+    }
+
+    get elapsedMs() {
+        return performance.now() - this.startTime;
+    }
+
+    /**
+     * Expected total: as announced in 100/2 (raised by OdinFlasher.resumeDecompressed
+     * when the rest goes decompressed), never below what was sent
+     */
+    get expectedBytes() {
+        return Math.max(this.totalBytes, this.bytesTransferred);
+    }
+
+    /**
+     * Seconds left at the rolling speed, null until there is a speed
+     */
+    get eta() {
+        const speed = this.speed;
+        return speed > 0 ? (this.expectedBytes - this.bytesTransferred) / speed : null;
+    }
+
+    get percentage() {
+        return this.expectedBytes > 0 ? (this.bytesTransferred / this.expectedBytes) * 100 : 0;
+    }
+
+    /**
+     * Bulk-out throughput measured by the transport, in bytes/s (0 if it does not time transfers)
+     */
+    get linkSpeed() {
+        if (!this.timing) {
+            return 0;
+        }
+        const ms = this.timing.out.ms - this.timingStart.ms;
+        return ms > 0 ? (this.timing.out.bytes - this.timingStart.bytes) / (ms / 1000) : 0;
+    }
+
+    /**
+     * Human-readable report, one line per entry
+     */
+    toLines() {
+        const lines = [
+            `Transferred ${formatBytes(this.bytesTransferred)} in ${formatDuration(this.elapsedMs / 1000)} ` +
+            `(${formatSpeed(this.bytesTransferred / (this.elapsedMs / 1000))} average)`,
+            `USB time: ${formatDuration(this.usbMs / 1000)}, flash write wait: ${formatDuration(this.flashWaitMs / 1000)}`
+        ];
+        if (this.linkSpeed > 0) {
+            lines.push(`USB bulk-out throughput: ${formatSpeed(this.linkSpeed)}`);
+        }
+
+        for (const partition of this.partitions) {
+            lines.push(`  ${partition.name}: ${formatBytes(partition.bytes)} in ${formatDuration(partition.elapsedMs / 1000)} ` +
+                `(${formatSpeed(partition.speed)} over USB, ${formatDuration(partition.flashWaitMs / 1000)} flash write wait)`);
+        }
+        return lines;
+    }
+}
@@ -0,0 +1,330 @@
+/**
+ * Transport layer for the Odin protocol
+ * DownloadEngine and OdinFlasher only talk to a Transport, so the protocol
+ * code runs on any backend:
+ *   - UsbDevice      WebUSB (navigator.usb, or the `usb` package's WebUSB shim under Node)
+ *   - MockTransport  in-memory device, for running the protocol without hardware
+ *
+ * A transport implements:
+ *   open()               - claim the device, resolves true when ready
+ *   write(data, timeout, terminate, probe)
+ *                        - send a Uint8Array, resolves the number of bytes written.
+ *                          `terminate` asks USB backends to end the transfer with a
+ *                          zero-length packet when it fills its last packet exactly.
+ *                          It is for transfers of a length the device was not told:
+ *                          command packets, data blocks (size agreed with 100/5) and
+ *                          the PIT upload (size announced) all go without.
+ *                          `probe` is as for read()
+ *   read(size, timeout, probe)
+ *                        - receive up to `size` bytes, resolves a Uint8Array.
+ *                          `probe` marks a read the device may never answer (a
+ *                          request it may not know); USB backends then cancel it
+ *                          on timeout without clearing the endpoint halt. No timeout
+ *                          resets the device; one that could not be cancelled
+ *                          rejects with `pending` set
+ *   reset()              - reset the device/link
+ *   close()              - release the device
+ *   recoverySteps        - RecoveryStep list for a device that stopped answering, mildest first
+ *   recover(step)        - perform one of them
+ *
+ * Timeouts are in SECONDS. Failures reject with UsbTransferError.
+ * Transports are EventTargets and may dispatch 'disconnect' and 'reattach'.
+ * `phase` names the protocol step in progress (set by DownloadEngine) so
+ * traffic captures can be tagged (see usb-trace.js). `timing` is a
+ * TransferTiming; backends that can time their bus transfers record them
+ * there (see transfer-stats.js).
+ */
+
+/**
+ * Failure categories reported by UsbTransferError
+ */
+const UsbErrorCode = {
+    TIMEOUT: 'timeout',
+    STALL: 'stall',
+    BABBLE: 'babble',
+    DISCONNECTED: 'disconnected',
+    FAILED: 'failed'
+};
+
+/**
+ * Recovery actions for a stuck device (see DownloadEngine.openSession)
+ */
+const RecoveryStep = {
+    CLEAR_HALT: 'clear-halt',
+    RECLAIM_INTERFACE: 'reclaim-interface',
+    RESET: 'reset'
+};
+
+/**
+ * Error raised by transport transfers
+ * `code` is one of UsbErrorCode, `direction` is 'in' or 'out'
+ */
+class UsbTransferError extends Error {
+    constructor(message, code = UsbErrorCode.FAILED, direction = null, endpoint = null) {
+        super(message);
+        this.name = 'UsbTransferError';
+        this.code = code;
+        this.direction = direction;
+        this.endpoint = endpoint;
+        this.pending = false;  // A timed-out transfer that could not be cancelled (see UsbDevice.abortPendingTransfer)
+    }
+
+    get isTimeout() {
+        return this.code === UsbErrorCode.TIMEOUT;
+    }
+}
+
+/**
+ * Base class documenting the transport interface
+ */
+class Transport extends EventTarget {
+    constructor(verbose = false) {
+        super();
+        this.verbose = verbose;
+        this.deviceInfo = null;
+        this.phase = 'idle';
+        this.timing = new TransferTiming();
+    }
+
+    async open() {
+        throw new Error(`${this.constructor.name}.open() not implemented`);
+    }
+
+    async write(data, timeout = TIMEOUT_WRITE, terminate = false, probe = false) {
+        throw new Error(`${this.constructor.name}.write() not implemented`);
+    }
+
+    async read(size, timeout = TIMEOUT_READ, probe = false) {
+        throw new Error(`${this.constructor.name}.read() not implemented`);
+    }
+
+    async reset() {
+        throw new Error(`${this.constructor.name}.reset() not implemented`);
+    }
+
+    async close() {
+        throw new Error(`${this.constructor.name}.close() not implemented`);
+    }
+
+    get recoverySteps() {
+        return [];
+    }
+
+    async recover(step) {
+        throw new Error(`${this.constructor.name} cannot recover with '${step}'`);
+    }
+}
+
+/**
+ * In-memory transport
+ *
+ * Every write is passed to `responder(data)`, which returns the packets
+ * (Uint8Array, or an array of them) the device sends back. Reads take
+ * queued packets in order; a read with nothing queued times out.
+ */
+class MockTransport extends Transport {
+    constructor(responder = MockTransport.odinResponder(), verbose = false) {
+        super(verbose);
+        this.responder = responder;
+        this.queue = [];
+        this.writes = [];
+        this.keepWrites = true;  // Copy every write into `writes`
+        this.linkSpeed = 0;      // Simulated bytes/s for benchmarks (0: instant)
+        this.linkFreeAt = 0;
+        this.writeLatency = 0;   // Simulated seconds every write costs on top of linkSpeed
+        this.flashSpeed = 0;     // Simulated bytes/s the device writes a finished sequence at
+        this.answerAt = 0;       // The finalize answer waits for that write
+        this.isOpen = false;
+        this.deviceInfo = new DeviceInfo(SAMSUNG_VENDOR_ID, SAMSUNG_DOWNLOAD_MODE_PIDS[0]);
+        this.deviceInfo.manufacturer = "Samsung";
+        this.deviceInfo.product = "Mock Device";
+        this.deviceInfo.serialNumber = "MOCK0001";
+    }
+
+    log(message) {
+        if (this.verbose) {
+            log(`[MockTransport] ${message}`, 'info');
+        }
+    }
+
+    async open() {
+        this.isOpen = true;
+        this.log("Opened");
+        return true;
+    }
+
+    async write(data, timeout = TIMEOUT_WRITE) {
+        if (!this.isOpen) {
+            throw new UsbTransferError("Device not connected", UsbErrorCode.DISCONNECTED, 'out');
+        }
+
+        if (this.keepWrites) {
+            this.writes.push(data.slice());
+        }
+
+        // Writes queue up behind each other at linkSpeed; short waits are
+        // batched, since timers cannot sleep for a block's few milliseconds
+        if (this.linkSpeed > 0) {
+            const now = performance.now();
+            this.linkFreeAt = Math.max(this.linkFreeAt, now) + data.length * 1000 / this.linkSpeed + this.writeLatency * 1000;
+            if (this.linkFreeAt - now > 10) {
+                await sleep(this.linkFreeAt - now);
+            }
+        }
+
+        if (this.flashSpeed > 0 && data.length === 1024) {
+            const [cmd, sub, , sequenceSize] = structUnpack('<IIII', data);
+            if (cmd === 102 && (sub === FileTransferRequest.END || sub === FileTransferRequest.COMPRESSED_END)) {
+                this.answerAt = Math.max(this.linkFreeAt, performance.now()) + sequenceSize * 1000 / this.flashSpeed;
+            }
+        }
+
+        const response = this.responder(data);
+        if (response) {
+            this.queue.push(...(Array.isArray(response) ? response : [response]));
+        }
+
+        return data.length;
+    }
+
+    async read(size, timeout = TIMEOUT_READ) {
+        if (!this.isOpen) {
+            throw new UsbTransferError("Device not connected", UsbErrorCode.DISCONNECTED, 'in');
+        }
+
+        if (this.queue.length === 0) {
+            throw new UsbTransferError(`USB read timeout after ${timeout}s`, UsbErrorCode.TIMEOUT, 'in');
+        }
+
+        const wait = this.answerAt - performance.now();
+        if (wait > 0) {
+            await sleep(wait);
+        }
+
+        const packet = this.queue.shift();
+        return packet.length > size ? packet.slice(0, size) : packet;
+    }
+
+    async reset() {
+        this.queue = [];
+        this.log("Reset");
+    }
+
+    async close() {
+        this.isOpen = false;
+        this.log("Closed");
+    }
+
+    get recoverySteps() {
+        return [RecoveryStep.RESET];
+    }
+
+    async recover(step) {
+        await this.reset();
+    }
+
+    /**
+     * Responder that behaves like a Samsung bootloader accepting everything
+     * @param {Object} options - { protocolVersion, pitData, partitions: { partitionId: Uint8Array } for DUMP,
+     *                            identity: DVIF answer string (null for a bootloader without DVIF),
+     *                            tflash: false to refuse T-Flash (100/8), as without an SD card,
+     *                            compressedDownload: false to refuse compressed sequences (102/5),
+     *                            defaultPacketSize: nonzero to take a file part size (100/5) }
+     */
+    static odinResponder(options = {}) {
+        const protocolVersion = options.protocolVersion || ODIN_PROTOCOL_VERSION;
+        const identity = options.identity !== undefined ? options.identity :
+            "@#MODEL=SM-MOCK0;VENDOR=SAMSUNG;SALES=XAA;VER=MOCK0XXU1AAA1/MOCK0OXM1AAA1/MOCK0XXU1AAA1/MOCK0XXU1AAA1;DID=0000000000000001;UN=CE0000000000000001;#@";
+        let pitData = options.pitData || null;
+        const partitions = options.partitions || {};
+        const tflash = options.tflash ?? true;
+        const compressedDownload = options.compressedDownload ?? true;
+        const defaultPacketSize = options.defaultPacketSize ?? 0;  // Nonzero: takes 100/5
+        const ok = (cmd, value = 0) => structPack('<II', cmd, value);
+
+        let pitChunk = 0;
+        let pitUploadSize = 0;  // Set by 101/2 after 101/0: the next write is the PIT
+        let pitUploading = false;
+        let dumpData = null;
+
+        return (data) => {
+            // Zero-length packets need no answer
+            if (data.length === 0) {
+                return null;
+            }
+
+            if (data.length === 4 && new TextDecoder().decode(data) === "ODIN") {
+                return new TextEncoder().encode("LOKE");
+            }
+
+            if (data.length === 4 && new TextDecoder().decode(data) === "DVIF") {
+                return identity ? new TextEncoder().encode(identity) : null;
+            }
+
+            // Uploaded PIT replaces the device's (so a readback returns it)
+            if (pitUploadSize > 0) {
+                pitData = data.slice(0, pitUploadSize);
+                pitUploadSize = 0;
+                return ok(101);
+            }
+
+            // Anything that is not a command packet is file data: ack each block
+            if (data.length !== 1024) {
+                return ok(0);
+            }
+
+            const [cmd, sub] = structUnpack('<II', data);
+
+            if (cmd === 100 && sub === 0) {
+                return ok(100, (protocolVersion << 16) | defaultPacketSize);
+            }
+
+            if (cmd === 100 && sub === 5 && !defaultPacketSize) {
+                return ok(100, DeviceResponse.FAIL);
+            }
+
+            if (cmd === 100 && sub === 8 && !tflash) {
+                return ok(100, DeviceResponse.FAIL);
+            }
+
+            if (cmd === 102 && sub === FileTransferRequest.COMPRESSED_BEGIN && !compressedDownload) {
+                return ok(0xFFFFFFFF, DeviceResponse.FAIL);
+            }
+
+            if (cmd === 101 && sub === 0) {
+                pitUploading = true;
+                return ok(101);
+            }
+
+            if (cmd === 101 && sub === 2 && pitUploading) {
+                [, , pitUploadSize] = structUnpack('<III', data);
+                pitUploading = false;
+                return ok(101);
+            }
+
+            if (cmd === 101 && sub === 1) {
+                pitChunk = 0;
+                return ok(101, pitData ? pitData.length : 0);
+            }
+
+            if (cmd === 101 && sub === 2 && pitData) {
+                const chunk = pitData.slice(pitChunk * 500, (pitChunk + 1) * 500);
+                pitChunk++;
+                return chunk;
+            }
+
+            if (cmd === OdinCommand.DUMP && sub === DumpRequest.BEGIN) {
+                const [partitionId] = structUnpack('<I', data, 16);
+                dumpData = partitions[partitionId] || null;
+                return dumpData ? ok(cmd, dumpData.length) : ok(0xFFFFFFFF, DeviceResponse.FAIL);
+            }
+
+            if (cmd === OdinCommand.DUMP && sub === DumpRequest.PART && dumpData) {
+                const [part] = structUnpack('<I', data, 8);
+                return dumpData.slice(part * DUMP_PART_SIZE, (part + 1) * DUMP_PART_SIZE);
+            }
+
+            return ok(cmd);
+        };
+    }
+}
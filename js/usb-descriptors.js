@@ -0,0 +1,395 @@
+/**
+ * USB descriptor and link-speed inspector
+ *
+ * Reads the standard descriptors (device, configuration with its interfaces
+ * and endpoints, strings, BOS) over endpoint 0 with GET_DESCRIPTOR, and
+ * infers the negotiated bus speed. WebUSB does not report the speed, but
+ * the descriptors a device returns depend on it: bulk endpoints are 64
+ * bytes at Full Speed, 512 at High Speed and 1024 at SuperSpeed, and a
+ * SuperSpeed device reports bMaxPacketSize0 = 9 (2^9 = 512).
+ */
+
+const USB_REQUEST_GET_DESCRIPTOR = 0x06;
+
+const UsbDescriptorType = {
+    DEVICE: 0x01,
+    CONFIGURATION: 0x02,
+    STRING: 0x03,
+    INTERFACE: 0x04,
+    ENDPOINT: 0x05,
+    BOS: 0x0F,
+    DEVICE_CAPABILITY: 0x10,
+    SS_ENDPOINT_COMPANION: 0x30
+};
+
+const UsbLinkSpeed = {
+    LOW: 'low',
+    FULL: 'full',
+    HIGH: 'high',
+    SUPER: 'super',
+    UNKNOWN: 'unknown'
+};
+
+const USB_LINK_SPEED_LABELS = {
+    low: 'Low Speed (1.5 Mbit/s)',
+    full: 'Full Speed (12 Mbit/s)',
+    high: 'High Speed (480 Mbit/s)',
+    super: 'SuperSpeed (5 Gbit/s or faster)',
+    unknown: 'Unknown'
+};
+
+// BOS device capability types
+const USB_CAPABILITY_NAMES = {
+    0x02: 'USB 2.0 Extension',
+    0x03: 'SuperSpeed USB',
+    0x04: 'Container ID',
+    0x05: 'Platform',
+    0x0A: 'SuperSpeedPlus USB'
+};
+
+/**
+ * Everything read from the device, plus the inferred link speed
+ */
+class UsbDescriptorReport {
+    constructor() {
+        this.device = null;         // Parsed device descriptor
+        this.configuration = null;  // Parsed configuration descriptor (interfaces/endpoints nested)
+        this.strings = {};          // index -> string
+        this.bos = null;            // Parsed BOS descriptor, null if the device has none
+        this.linkSpeed = UsbLinkSpeed.UNKNOWN;
+        this.warnings = [];
+    }
+
+    get linkSpeedLabel() {
+        return USB_LINK_SPEED_LABELS[this.linkSpeed];
+    }
+
+    /**
+     * Largest max packet size of the bulk endpoints
+     */
+    get bulkPacketSize() {
+        const sizes = this.bulkEndpoints.map(endpoint => endpoint.wMaxPacketSize);
+        return sizes.length ? Math.max(...sizes) : 0;
+    }
+
+    get bulkEndpoints() {
+        if (!this.configuration) {
+            return [];
+        }
+        return this.configuration.interfaces
+            .flatMap(iface => iface.endpoints)
+            .filter(endpoint => endpoint.type === 'bulk');
+    }
+
+    /**
+     * Human-readable dump for the device details panel / log
+     */
+    toLines() {
+        const hex = (value, digits = 4) => `0x${value.toString(16).toUpperCase().padStart(digits, '0')}`;
+        const bcd = (value) => `${(value >> 8).toString(16)}.${(value & 0xFF).toString(16).padStart(2, '0')}`;
+        const str = (index) => index && this.strings[index] !== undefined ? ` "${this.strings[index]}"` : '';
+        const lines = [`Link speed: ${this.linkSpeedLabel}`];
+
+        if (this.device) {
+            const d = this.device;
+            lines.push(`Device: USB ${bcd(d.bcdUSB)}, ${hex(d.idVendor)}:${hex(d.idProduct)} rev ${bcd(d.bcdDevice)}`);
+            lines.push(`  Class ${hex(d.bDeviceClass, 2)}/${hex(d.bDeviceSubClass, 2)}/${hex(d.bDeviceProtocol, 2)}, EP0 max packet ${d.maxPacketSize0}`);
+            lines.push(`  Manufacturer${str(d.iManufacturer) || ' -'}, Product${str(d.iProduct) || ' -'}, Serial${str(d.iSerialNumber) || ' -'}`);
+        }
+
+        if (this.configuration) {
+            const c = this.configuration;
+            lines.push(`Configuration ${c.bConfigurationValue}${str(c.iConfiguration)}: ${c.bNumInterfaces} interface(s), ${c.bMaxPower * (this.linkSpeed === UsbLinkSpeed.SUPER ? 8 : 2)} mA${c.bmAttributes & 0x40 ? ', self-powered' : ''}`);
+            for (const iface of c.interfaces) {
+                lines.push(`  Interface ${iface.bInterfaceNumber} alt ${iface.bAlternateSetting}${str(iface.iInterface)}: class ${hex(iface.bInterfaceClass, 2)}/${hex(iface.bInterfaceSubClass, 2)}/${hex(iface.bInterfaceProtocol, 2)}`);
+                for (const endpoint of iface.endpoints) {
+                    lines.push(`    Endpoint ${hex(endpoint.bEndpointAddress, 2)} ${endpoint.type} ${endpoint.direction}: max packet ${endpoint.wMaxPacketSize}${endpoint.maxBurst ? `, burst ${endpoint.maxBurst + 1}` : ''}`);
+                }
+            }
+        }
+
+        if (this.bos) {
+            lines.push(`BOS: ${this.bos.capabilities.length} capabilit${this.bos.capabilities.length === 1 ? 'y' : 'ies'}`);
+            for (const capability of this.bos.capabilities) {
+                lines.push(`  ${capability.name}${capability.details ? `: ${capability.details}` : ''}`);
+            }
+        } else {
+            lines.push('BOS: not provided');
+        }
+
+        return lines;
+    }
+}
+
+class UsbDescriptorReader {
+    /**
+     * @param {UsbDevice} usbDevice - Opened UsbDevice (uses its controlTransfer)
+     */
+    constructor(usbDevice, verbose = false) {
+        this.usbDevice = usbDevice;
+        this.verbose = verbose;
+    }
+
+    log(message) {
+        if (this.verbose) {
+            log(`[UsbDescriptorReader] ${message}`, 'info');
+        }
+    }
+
+    /**
+     * Read and parse all descriptors
+     * @returns {Promise<UsbDescriptorReport>}
+     */
+    async read() {
+        const report = new UsbDescriptorReport();
+
+        report.device = UsbDescriptorReader.parseDeviceDescriptor(
+            await this.getDescriptor(UsbDescriptorType.DEVICE, 0, 18)
+        );
+
+        // Read the 9-byte header first for wTotalLength
+        const configHeader = await this.getDescriptor(UsbDescriptorType.CONFIGURATION, 0, 9);
+        const configLength = LEToNumber(configHeader, 2, 2);
+        report.configuration = UsbDescriptorReader.parseConfigurationDescriptor(
+            await this.getDescriptor(UsbDescriptorType.CONFIGURATION, 0, configLength)
+        );
+
+        report.strings = await this.readStrings(report);
+
+        // BOS exists from USB 2.01 on; older devices stall the request
+        if (report.device.bcdUSB >= 0x0201) {
+            try {
+                const bosHeader = await this.getDescriptor(UsbDescriptorType.BOS, 0, 5);
+                report.bos = UsbDescriptorReader.parseBosDescriptor(
+                    await this.getDescriptor(UsbDescriptorType.BOS, 0, LEToNumber(bosHeader, 2, 2))
+                );
+            } catch (error) {
+                this.log(`No BOS descriptor: ${error.message}`);
+            }
+        }
+
+        report.linkSpeed = UsbDescriptorReader.inferLinkSpeed(report);
+        report.warnings = UsbDescriptorReader.linkWarnings(report);
+
+        return report;
+    }
+
+    /**
+     * String descriptors referenced by the other descriptors, in the
+     * device's first language
+     */
+    async readStrings(report) {
+        const strings = {};
+
+        let langId = 0x0409;
+        try {
+            const langs = await this.getDescriptor(UsbDescriptorType.STRING, 0, 255);
+            if (langs.length >= 4) {
+                langId = LEToNumber(langs, 2, 2);
+            }
+        } catch (error) {
+            this.log(`No string language table: ${error.message}`);
+            return strings;
+        }
+
+        const d = report.device;
+        const c = report.configuration;
+        const indexes = new Set([
+            d.iManufacturer, d.iProduct, d.iSerialNumber, c.iConfiguration,
+            ...c.interfaces.map(iface => iface.iInterface)
+        ]);
+
+        for (const index of indexes) {
+            if (!index) {
+                continue;
+            }
+            try {
+                const data = await this.getDescriptor(UsbDescriptorType.STRING, index, 255, langId);
+                strings[index] = UsbDescriptorReader.parseStringDescriptor(data);
+            } catch (error) {
+                this.log(`String ${index} unreadable: ${error.message}`);
+            }
+        }
+
+        return strings;
+    }
+
+    /**
+     * GET_DESCRIPTOR over endpoint 0
+     */
+    async getDescriptor(type, index, length, langId = 0) {
+        const data = await this.usbDevice.controlTransfer(
+            'standard', USB_REQUEST_GET_DESCRIPTOR, (type << 8) | index, langId, null, TIMEOUT_CONNECT, length
+        );
+
+        if (data.length < 2 || (type !== UsbDescriptorType.STRING && data[1] !== type)) {
+            throw new Error(`Bad descriptor 0x${type.toString(16)} (${data.length} bytes)`);
+        }
+
+        return data;
+    }
+
+    static parseDeviceDescriptor(data) {
+        return {
+            bcdUSB: LEToNumber(data, 2, 2),
+            bDeviceClass: data[4],
+            bDeviceSubClass: data[5],
+            bDeviceProtocol: data[6],
+            bMaxPacketSize0: data[7],
+            // SuperSpeed devices give the EP0 size as a power of two
+            maxPacketSize0: LEToNumber(data, 2, 2) >= 0x0300 ? 1 << data[7] : data[7],
+            idVendor: LEToNumber(data, 8, 2),
+            idProduct: LEToNumber(data, 10, 2),
+            bcdDevice: LEToNumber(data, 12, 2),
+            iManufacturer: data[14],
+            iProduct: data[15],
+            iSerialNumber: data[16],
+            bNumConfigurations: data[17]
+        };
+    }
+
+    /**
+     * Configuration descriptor with its interface, endpoint and
+     * SuperSpeed endpoint companion descriptors nested
+     */
+    static parseConfigurationDescriptor(data) {
+        const config = {
+            wTotalLength: LEToNumber(data, 2, 2),
+            bNumInterfaces: data[4],
+            bConfigurationValue: data[5],
+            iConfiguration: data[6],
+            bmAttributes: data[7],
+            bMaxPower: data[8],
+            interfaces: []
+        };
+
+        let iface = null;
+        let endpoint = null;
+        let offset = data[0];
+
+        while (offset + 2 <= data.length) {
+            const length = data[offset];
+            const type = data[offset + 1];
+            if (length < 2 || offset + length > data.length) {
+                break;
+            }
+
+            if (type === UsbDescriptorType.INTERFACE) {
+                iface = {
+                    bInterfaceNumber: data[offset + 2],
+                    bAlternateSetting: data[offset + 3],
+                    bNumEndpoints: data[offset + 4],
+                    bInterfaceClass: data[offset + 5],
+                    bInterfaceSubClass: data[offset + 6],
+                    bInterfaceProtocol: data[offset + 7],
+                    iInterface: data[offset + 8],
+                    endpoints: []
+                };
+                config.interfaces.push(iface);
+                endpoint = null;
+            } else if (type === UsbDescriptorType.ENDPOINT && iface) {
+                const address = data[offset + 2];
+                endpoint = {
+                    bEndpointAddress: address,
+                    direction: address & 0x80 ? 'in' : 'out',
+                    type: ['control', 'isochronous', 'bulk', 'interrupt'][data[offset + 3] & 0x03],
+                    wMaxPacketSize: LEToNumber(data, offset + 4, 2) & 0x7FF,
+                    bInterval: data[offset + 6],
+                    maxBurst: 0
+                };
+                iface.endpoints.push(endpoint);
+            } else if (type === UsbDescriptorType.SS_ENDPOINT_COMPANION && endpoint) {
+                endpoint.maxBurst = data[offset + 2];
+            }
+
+            offset += length;
+        }
+
+        return config;
+    }
+
+    static parseStringDescriptor(data) {
+        const length = Math.min(data[0], data.length);
+        let str = '';
+        for (let i = 2; i + 1 < length; i += 2) {
+            str += String.fromCharCode(LEToNumber(data, i, 2));
+        }
+        return str;
+    }
+
+    static parseBosDescriptor(data) {
+        const bos = { wTotalLength: LEToNumber(data, 2, 2), capabilities: [] };
+        let offset = data[0];
+
+        while (offset + 3 <= data.length) {
+            const length = data[offset];
+            if (length < 3 || offset + length > data.length) {
+                break;
+            }
+
+            if (data[offset + 1] === UsbDescriptorType.DEVICE_CAPABILITY) {
+                const type = data[offset + 2];
+                const capability = {
+                    type,
+                    name: USB_CAPABILITY_NAMES[type] || `Capability 0x${type.toString(16)}`,
+                    details: ''
+                };
+
+                if (type === 0x02) {
+                    capability.lpm = !!(LEToNumber(data, offset + 3, 4) & 0x02);
+                    capability.details = capability.lpm ? 'link power management' : '';
+                } else if (type === 0x03) {
+                    const speeds = LEToNumber(data, offset + 4, 2);
+                    capability.speedsSupported = speeds;
+                    capability.details = ['low', 'full', 'high', '5 Gbit/s']
+                        .filter((name, bit) => speeds & (1 << bit))
+                        .join(', ');
+                } else if (type === 0x0A) {
+                    capability.details = '10 Gbit/s or faster';
+                }
+
+                bos.capabilities.push(capability);
+            }
+
+            offset += length;
+        }
+
+        return bos;
+    }
+
+    /**
+     * Negotiated speed from what the device reported at this speed
+     */
+    static inferLinkSpeed(report) {
+        const device = report.device;
+        if (device && device.bcdUSB >= 0x0300 && device.bMaxPacketSize0 === 9) {
+            return UsbLinkSpeed.SUPER;
+        }
+
+        switch (report.bulkPacketSize) {
+            case 1024: return UsbLinkSpeed.SUPER;
+            case 512: return UsbLinkSpeed.HIGH;
+            case 64: return UsbLinkSpeed.FULL;
+        }
+
+        if (device && device.bMaxPacketSize0 === 8 && report.bulkEndpoints.length === 0) {
+            return UsbLinkSpeed.LOW;
+        }
+
+        return UsbLinkSpeed.UNKNOWN;
+    }
+
+    static linkWarnings(report) {
+        const warnings = [];
+
+        if (report.linkSpeed === UsbLinkSpeed.SUPER) {
+            warnings.push("Device is linked at SuperSpeed (USB 3). Samsung bootloaders are unreliable over USB 3 links - if transfers stall, use a USB 2.0 port or a USB 2.0 hub.");
+        } else if (report.linkSpeed === UsbLinkSpeed.FULL || report.linkSpeed === UsbLinkSpeed.LOW) {
+            warnings.push(`Device is linked at ${report.linkSpeedLabel} - flashing will be very slow. Try another cable or port.`);
+        } else if (report.linkSpeed === UsbLinkSpeed.UNKNOWN) {
+            warnings.push("Could not determine the USB link speed from the device's descriptors.");
+        }
+
+        return warnings;
+    }
+}
@@ -16,8 +16,19 @@ class DeviceInfo {
         this.deviceId = "";
         this.modelName = "";
         this.firmwareVersion = "";
+        this.salesCode = "";
+        this.uniqueId = "";
         this.chipId = "";
+        this.identity = null;  // Every DVIF field, { KEY: value }, null if not answered
         this.supportsZlp = false;
+        this.transferProfile = "";  // Negotiated block and sequence sizes, see TransferProfile
+        
+        // USB descriptors and inferred link speed (see usb-descriptors.js)
+        this.descriptors = null;
+        this.linkSpeed = UsbLinkSpeed.UNKNOWN;
+        
+        // Underlying WebUSB handle (set by UsbDevice.useDevice and listDevices)
+        this.device = null;
     }
     
     toString() {
@@ -25,9 +36,23 @@ class DeviceInfo {
     }
 }
 
-class UsbDevice {
-    constructor(verbose = false) {
-        this.verbose = verbose;
+/**
+ * WebUSB transport (see transport.js)
+ * 
+ * `usb` defaults to navigator.usb; under Node pass the `usb` package's
+ * WebUSB shim: new UsbDevice(verbose, require('usb').webusb)
+ * `filters` (DeviceFilterRegistry) decides which VID/PIDs count as Download
+ * Mode devices; defaults to the shared, user-editable registry
+ * 
+ * Events dispatched (as CustomEvent):
+ *   'disconnect' - the connected device was unplugged, detail: { deviceInfo }
+ *   'reattach'   - the same device came back, detail: { device, deviceInfo }
+ */
+class UsbDevice extends Transport {
+    constructor(verbose = false, usb = null, filters = null) {
+        super(verbose);
+        this.usb = usb || UsbDevice.defaultUsb();
+        this.filters = filters || DeviceFilterRegistry.shared();
         this.device = null;
         this.interface = 0;
         this.endpointOut = null;
@@ -35,6 +60,14 @@ class UsbDevice {
         this.deviceInfo = null;
         this.packetSize = USB_PACKET_SIZE;
         this.configuration = null;
+        this.supportsZlp = false;  // Set by detectZlpSupport()
+        
+        // Hot-plug state
+        this.isAttached = false;
+        this.pendingAborts = new Set();
+        this.onUsbConnect = this.onUsbConnect.bind(this);
+        this.onUsbDisconnect = this.onUsbDisconnect.bind(this);
+        this.watching = false;
     }
     
     log(message) {
@@ -51,27 +84,12 @@ class UsbDevice {
         
         try {
             // Request access to Samsung devices
-            const filters = SAMSUNG_DOWNLOAD_MODE_PIDS.map(pid => ({
-                vendorId: SAMSUNG_VENDOR_ID,
-                productId: pid
-            }));
+            const filters = this.filters.toUsbFilters();
             
-            this.device = await navigator.usb.requestDevice({ filters });
+            const device = await this.usb.requestDevice({ filters });
             
-            if (this.device) {
-                this.log(`Found device: VID=0x${this.device.vendorId.toString(16).padStart(4, '0')}, PID=0x${this.device.productId.toString(16).padStart(4, '0')}`);
-                
-                // Create device info
-                this.deviceInfo = new DeviceInfo(
-                    this.device.vendorId,
-                    this.device.productId
-                );
-                
-                this.deviceInfo.manufacturer = this.device.manufacturerName || "";
-                this.deviceInfo.product = this.device.productName || "";
-                this.deviceInfo.serialNumber = this.device.serialNumber || "";
-                
-                return this.deviceInfo;
+            if (device) {
+                return this.useDevice(device);
             }
         } catch (error) {
             log(`Error finding device: ${error.message}`, 'error');
@@ -81,6 +99,112 @@ class UsbDevice {
         return null;
     }
     
+    /**
+     * Use an already authorized USBDevice handle (no chooser)
+     * @param {USBDevice} device - WebUSB device handle
+     */
+    useDevice(device) {
+        this.device = device;
+        this.log(`Found device: VID=0x${device.vendorId.toString(16).padStart(4, '0')}, PID=0x${device.productId.toString(16).padStart(4, '0')}`);
+        
+        // Create device info
+        this.deviceInfo = new DeviceInfo(
+            device.vendorId,
+            device.productId
+        );
+        
+        this.deviceInfo.manufacturer = device.manufacturerName || "";
+        this.deviceInfo.product = device.productName || "";
+        this.deviceInfo.serialNumber = device.serialNumber || "";
+        this.deviceInfo.device = device;
+        
+        return this.deviceInfo;
+    }
+    
+    /**
+     * Check whether a USBDevice is the device this instance was opened on
+     */
+    isSameDevice(device) {
+        if (!this.deviceInfo || !device) {
+            return false;
+        }
+        
+        if (device.vendorId !== this.deviceInfo.vendorId) {
+            return false;
+        }
+        
+        // Serial number survives a re-enumeration; the product ID may not
+        // (some devices switch PID when they re-enter Download Mode)
+        if (this.deviceInfo.serialNumber) {
+            return device.serialNumber === this.deviceInfo.serialNumber;
+        }
+        
+        return device.productId === this.deviceInfo.productId;
+    }
+    
+    /**
+     * Start listening for navigator.usb connect/disconnect events
+     */
+    startWatching() {
+        if (this.watching || !this.usb || typeof this.usb.addEventListener !== 'function') {
+            return;
+        }
+        
+        this.usb.addEventListener('connect', this.onUsbConnect);
+        this.usb.addEventListener('disconnect', this.onUsbDisconnect);
+        this.watching = true;
+    }
+    
+    /**
+     * Stop listening for navigator.usb connect/disconnect events
+     */
+    stopWatching() {
+        if (!this.watching) {
+            return;
+        }
+        
+        this.usb.removeEventListener('connect', this.onUsbConnect);
+        this.usb.removeEventListener('disconnect', this.onUsbDisconnect);
+        this.watching = false;
+    }
+    
+    /**
+     * navigator.usb 'disconnect' handler
+     */
+    onUsbDisconnect(event) {
+        if (!this.isAttached || event.device !== this.device) {
+            return;
+        }
+        
+        log(`Device disconnected: ${this.deviceInfo}`, 'warning');
+        this.isAttached = false;
+        this.endpointOut = null;
+        this.endpointIn = null;
+        
+        // Fail in-flight transfers now instead of waiting for their timeout
+        const error = new UsbTransferError("Device disconnected (USB cable unplugged or device rebooted)", UsbErrorCode.DISCONNECTED);
+        for (const abort of this.pendingAborts) {
+            abort(error);
+        }
+        this.pendingAborts.clear();
+        
+        this.dispatchEvent(new CustomEvent('disconnect', { detail: { deviceInfo: this.deviceInfo } }));
+    }
+    
+    /**
+     * navigator.usb 'connect' handler
+     */
+    onUsbConnect(event) {
+        if (this.isAttached || !this.isSameDevice(event.device)) {
+            return;
+        }
+        
+        this.log(`Previously connected device is back: ${event.device.productName || 'Samsung Device'}`);
+        this.dispatchEvent(new CustomEvent('reattach', {
+            detail: { device: event.device, deviceInfo: this.deviceInfo }
+        }));
+    }
+    
     /**
      * Connect to USB device and configure interface
      */
@@ -158,6 +282,10 @@ class UsbDevice {
             // Get packet size
             this.packetSize = this.endpointOut.packetSize;
             this.log(`Max packet size: ${this.packetSize}`);
+            this.supportsZlp = false;
+            
+            this.isAttached = true;
+            this.startWatching();
             
             return true;
             
@@ -170,7 +298,7 @@ class UsbDevice {
      * Disconnect from USB device
      */
     async disconnect() {
-        if (this.device) {
+        if (this.device && this.device.opened) {
             try {
                 // Release interface
                 if (this.interface !== null) {
@@ -185,107 +313,282 @@ class UsbDevice {
             }
         }
         
+        this.stopWatching();
+        this.isAttached = false;
         this.device = null;
         this.endpointOut = null;
         this.endpointIn = null;
     }
     
+    /**
+     * Transport interface: open = connect
+     */
+    async open() {
+        return await this.connect();
+    }
+    
+    /**
+     * Transport interface: close = disconnect
+     */
+    async close() {
+        await this.disconnect();
+    }
+    
     /**
      * Write data to device
      * @param {Uint8Array} data - Data to write
-     * @param {number} timeout - Timeout in SECONDS
+     * @param {number} timeout - Timeout in SECONDS (applies to each USB transfer)
+     * @param {boolean} terminate - Follow with a ZLP if the data ends exactly on a
+     *                              packet boundary (see transport.js for when that is needed)
+     * @param {boolean} probe - As for read()
      */
-    async write(data, timeout = TIMEOUT_WRITE) {
+    async write(data, timeout = TIMEOUT_WRITE, terminate = false, probe = false) {
         if (!this.endpointOut) {
-            throw new Error("Device not connected");
+            throw new UsbTransferError("Device not connected", UsbErrorCode.DISCONNECTED, 'out');
         }
         
-        try {
-            // WebUSB transferOut
-            // For large writes, chunk them
-            if (data.length > 65536) {
-                let totalWritten = 0;
-                let offset = 0;
-                const chunkSize = 65536;  // 64KB chunks
-                
-                while (offset < data.length) {
-                    const chunkEnd = Math.min(offset + chunkSize, data.length);
-                    const chunk = data.slice(offset, chunkEnd);
-                    
-                    const result = await this.device.transferOut(
-                        this.endpointOut.endpointNumber,
-                        chunk
-                    );
-                    
-                    totalWritten += result.bytesWritten;
-                    offset = chunkEnd;
-                    
-                    if (result.bytesWritten !== chunk.length) {
-                        this.log(`Warning: Partial write ${result.bytesWritten}/${chunk.length} bytes`);
-                        break;
-                    }
-                }
-                
-                if (this.verbose) {
-                    this.log(`Wrote ${totalWritten} bytes (chunked)`);
-                }
-                
-                return totalWritten;
-            } else {
-                // Small writes
-                const result = await this.device.transferOut(
-                    this.endpointOut.endpointNumber,
-                    data
-                );
-                
-                if (this.verbose) {
-                    this.log(`Wrote ${result.bytesWritten} bytes`);
-                }
-                
-                return result.bytesWritten;
-            }
+        // WebUSB transferOut
+        // For large writes, chunk them
+        const chunkSize = 65536;  // 64KB chunks
+        let totalWritten = 0;
+        let offset = 0;
+        
+        do {
+            const chunkEnd = Math.min(offset + chunkSize, data.length);
+            const chunk = data.length > chunkSize ? data.slice(offset, chunkEnd) : data;
+            
+            const result = await this.transfer('out', timeout, () => this.device.transferOut(
+                this.endpointOut.endpointNumber,
+                chunk
+            ), probe);
             
+            totalWritten += result.bytesWritten;
+            offset = chunkEnd;
+            
+            if (result.bytesWritten !== chunk.length) {
+                this.log(`Warning: Partial write ${result.bytesWritten}/${chunk.length} bytes`);
+                break;
+            }
+        } while (offset < data.length);
+        
+        if (this.verbose) {
+            this.log(`Wrote ${totalWritten} bytes${data.length > chunkSize ? ' (chunked)' : ''}`);
+        }
+        
+        // Goes through this.write so traffic captures see the ZLP too
+        if (terminate && this.needsZlp(totalWritten)) {
+            await this.write(new Uint8Array(0), timeout);
+        }
+        
+        return totalWritten;
+    }
+    
+    /**
+     * A bulk transfer that fills its last packet exactly is only ended by a
+     * zero-length packet (USB 2.0 spec 5.8.3). Short transfers end themselves.
+     */
+    needsZlp(length) {
+        return this.supportsZlp && length > 0 && length % this.packetSize === 0;
+    }
+    
+    /**
+     * Check whether the bootloader accepts zero-length packets
+     * Sent while the device is idle between commands; a device that does not
+     * take them NAKs or stalls the probe, which is then cancelled (never by
+     * resetting the device, which would end the session just opened).
+     */
+    async detectZlpSupport() {
+        try {
+            await this.write(new Uint8Array(0), TIMEOUT_ZLP_PROBE, false, true);
+            this.supportsZlp = true;
         } catch (error) {
-            throw new Error(`USB write failed: ${error.message}`);
+            if (!(error instanceof UsbTransferError) || error.code === UsbErrorCode.DISCONNECTED) {
+                throw error;
+            }
+            this.supportsZlp = false;
         }
+        
+        if (this.deviceInfo) {
+            this.deviceInfo.supportsZlp = this.supportsZlp;
+        }
+        this.log(`Zero-length packets: ${this.supportsZlp ? 'supported' : 'not supported'} (max packet size ${this.packetSize})`);
+        
+        return this.supportsZlp;
     }
     
     /**
      * Read data from device
      * @param {number} size - Number of bytes to read
      * @param {number} timeout - Timeout in SECONDS (will be converted to ms)
+     * @param {boolean} probe - The device may not answer at all: a timeout
+     *                          cancels the read without clearing the endpoint halt
      */
-    async read(size, timeout = TIMEOUT_READ) {
+    async read(size, timeout = TIMEOUT_READ, probe = false) {
         if (!this.endpointIn) {
-            throw new Error("Device not connected");
+            throw new UsbTransferError("Device not connected", UsbErrorCode.DISCONNECTED, 'in');
+        }
+        
+        const result = await this.transfer('in', timeout, () => this.device.transferIn(
+            this.endpointIn.endpointNumber,
+            size
+        ), probe);
+        
+        if (this.verbose) {
+            this.log(`Read ${result.data.byteLength} bytes`);
         }
         
+        return new Uint8Array(result.data.buffer, result.data.byteOffset, result.data.byteLength);
+    }
+    
+    /**
+     * Run a single WebUSB transfer with a real timeout
+     * 
+     * WebUSB has no per-transfer timeout, so when the timer wins the transfer
+     * is still queued on the endpoint and would swallow the next packet.
+     * abortPendingTransfer() cancels it before the timeout is reported.
+     * 
+     * @param {string} direction - 'in' or 'out'
+     * @param {number} timeout - Timeout in SECONDS
+     * @param {Function} start - Starts the transfer, returns the WebUSB promise
+     * @param {boolean} probe - Cancel on timeout without clearing the endpoint halt
+     */
+    async transfer(direction, timeout, start, probe = false) {
+        const endpoint = direction === 'in' ? this.endpointIn : this.endpointOut;
+        const endpointNumber = endpoint ? endpoint.endpointNumber : null;
+        const label = direction === 'in' ? 'read' : 'write';
+        
+        let timer = null;
+        const pending = start();
+        // The transfer may reject after we stop waiting for it (abort)
+        pending.catch(() => {});
+        
+        const timeoutPromise = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new UsbTransferError(
+                `USB ${label} timeout after ${timeout}s`,
+                UsbErrorCode.TIMEOUT, direction, endpointNumber
+            )), timeout * 1000);
+        });
+        
+        let abort = null;
+        const disconnectPromise = new Promise((_, reject) => { abort = reject; });
+        this.pendingAborts.add(abort);
+        
+        const started = performance.now();
+        let result;
         try {
-            // Note: WebUSB doesn't directly support timeouts, so we implement one
-            const timeoutMs = timeout * 1000;
-            
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('timeout')), timeoutMs);
-            });
-            
-            const readPromise = this.device.transferIn(
-                this.endpointIn.endpointNumber,
-                size
-            );
-            
-            const result = await Promise.race([readPromise, timeoutPromise]);
-            
-            if (this.verbose) {
-                this.log(`Read ${result.data.byteLength} bytes`);
+            result = await Promise.race([pending, timeoutPromise, disconnectPromise]);
+        } catch (error) {
+            if (error instanceof UsbTransferError && error.isTimeout) {
+                error.pending = !await this.abortPendingTransfer(direction, pending, probe);
+                throw error;
             }
             
-            return new Uint8Array(result.data.buffer);
+            if (error instanceof UsbTransferError) {
+                throw error;
+            }
             
+            const code = (error.name === 'NotFoundError' || !this.device || !this.device.opened)
+                ? UsbErrorCode.DISCONNECTED
+                : UsbErrorCode.FAILED;
+            throw new UsbTransferError(`USB ${label} failed: ${error.message}`, code, direction, endpointNumber);
+        } finally {
+            clearTimeout(timer);
+            this.pendingAborts.delete(abort);
+        }
+        
+        if (result.status === 'stall') {
+            this.log(`Endpoint 0x${endpointNumber.toString(16).padStart(2, '0')} stalled, clearing halt`);
+            await this.clearHalt(direction);
+            throw new UsbTransferError(`USB ${label} failed: endpoint stalled`, UsbErrorCode.STALL, direction, endpointNumber);
+        }
+        
+        if (result.status === 'babble') {
+            throw new UsbTransferError(`USB ${label} failed: device sent more data than requested`, UsbErrorCode.BABBLE, direction, endpointNumber);
+        }
+        
+        this.timing.record(direction, direction === 'in' ? result.data.byteLength : result.bytesWritten,
+            performance.now() - started);
+        
+        return result;
+    }
+    
+    /**
+     * Cancel a transfer that is still queued after a timeout
+     * 
+     * Clearing the halt recovers a stalled endpoint; releasing and re-claiming
+     * the interface aborts anything still queued on it. The device is never
+     * reset from here - mid-session that would end the session, so whether to
+     * recover is DownloadEngine's call (see RecoveryStep).
+     * A probe that went unanswered is expected: the device is idle, not stuck,
+     * so its transfer is only cancelled by re-claiming the interface.
+     * @returns {Promise<boolean>} Whether the transfer is gone; if not, it may
+     *                             still take the device's next packet
+     */
+    async abortPendingTransfer(direction, pending, probe = false) {
+        let settled = false;
+        pending.then(() => { settled = true; }, () => { settled = true; });
+        
+        if (!probe) {
+            await this.clearHalt(direction);
+        }
+        
+        if (!settled) {
+            await this.reclaimInterface();
+        }
+        
+        // Give the aborted transfer a moment to reject
+        const deadline = Date.now() + 1000;
+        while (!settled && Date.now() < deadline) {
+            await sleep(10);
+        }
+        
+        if (!settled) {
+            this.log(`${probe ? 'Unanswered probe' : 'Pending transfer'} did not abort; leaving the device as it is`);
+        }
+        return settled;
+    }
+    
+    /**
+     * Clear a halt/stall condition on one of the bulk endpoints
+     * @param {string} direction - 'in' or 'out'
+     */
+    async clearHalt(direction) {
+        const endpoint = direction === 'in' ? this.endpointIn : this.endpointOut;
+        if (!this.device || !this.device.opened || !endpoint) {
+            return false;
+        }
+        
+        try {
+            await this.device.clearHalt(direction, endpoint.endpointNumber);
+            this.log(`Cleared halt on ${direction.toUpperCase()} endpoint`);
+            return true;
         } catch (error) {
-            if (error.message === 'timeout') {
-                throw new Error(`USB read timeout after ${timeout}s`);
-            }
-            throw new Error(`USB read failed: ${error.message}`);
+            this.log(`Warning: clearHalt(${direction}) failed: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * Release and re-claim the bulk interface (aborts queued transfers)
+     */
+    async reclaimInterface() {
+        if (!this.device || !this.device.opened || this.interface === null) {
+            return false;
+        }
+        
+        try {
+            await this.device.releaseInterface(this.interface);
+        } catch (error) {
+            this.log(`Warning: releaseInterface failed: ${error.message}`);
+        }
+        
+        try {
+            await this.device.claimInterface(this.interface);
+            this.log(`Re-claimed interface ${this.interface}`);
+            return true;
+        } catch (error) {
+            this.log(`Warning: claimInterface failed: ${error.message}`);
+            return false;
         }
     }
     
@@ -337,8 +640,9 @@ class UsbDevice {
     
     /**
      * Control transfer
+     * @param {number} length - Bytes to request for an IN transfer
      */
-    async controlTransfer(requestType, request, value = 0, index = 0, data = null, timeout = TIMEOUT_WRITE) {
+    async controlTransfer(requestType, request, value = 0, index = 0, data = null, timeout = TIMEOUT_WRITE, length = 1024) {
         if (!this.device) {
             throw new Error("Device not connected");
         }
@@ -363,9 +667,13 @@ class UsbDevice {
                     request: request,
                     value: value,
                     index: index
-                }, 1024);
+                }, length);
                 
-                return new Uint8Array(result.data.buffer);
+                if (result.status !== 'ok') {
+                    throw new Error(`status ${result.status}`);
+                }
+                
+                return new Uint8Array(result.data.buffer, result.data.byteOffset, result.data.byteLength);
             }
         } catch (error) {
             throw new Error(`Control transfer failed: ${error.message}`);
@@ -387,15 +695,80 @@ class UsbDevice {
     }
     
     /**
-     * List all Samsung devices in Download mode
+     * Read the device's USB descriptors and infer the link speed
+     * Stored on deviceInfo (descriptors, linkSpeed); warnings are logged
+     * @returns {Promise<UsbDescriptorReport>}
      */
-    static async listDevices() {
-        const devices = await navigator.usb.getDevices();
+    async inspectDescriptors() {
+        const report = await new UsbDescriptorReader(this, this.verbose).read();
+        
+        if (this.deviceInfo) {
+            this.deviceInfo.descriptors = report;
+            this.deviceInfo.linkSpeed = report.linkSpeed;
+        }
+        
+        this.log(`Link speed: ${report.linkSpeedLabel}, bulk max packet ${report.bulkPacketSize}`);
+        for (const line of report.toLines()) {
+            this.log(`  ${line}`);
+        }
+        for (const warning of report.warnings) {
+            log(warning, 'warning');
+        }
+        
+        return report;
+    }
+    
+    get recoverySteps() {
+        return [RecoveryStep.CLEAR_HALT, RecoveryStep.RECLAIM_INTERFACE, RecoveryStep.RESET];
+    }
+    
+    /**
+     * Recover a device that stopped answering (e.g. left mid-session by an
+     * aborted flash)
+     * @param {string} step - RecoveryStep
+     */
+    async recover(step) {
+        if (!this.isAttached || !this.device || !this.device.opened) {
+            throw new UsbTransferError("Device not connected", UsbErrorCode.DISCONNECTED);
+        }
+        
+        switch (step) {
+            case RecoveryStep.CLEAR_HALT:
+                await this.clearHalt('out');
+                await this.clearHalt('in');
+                break;
+                
+            case RecoveryStep.RECLAIM_INTERFACE:
+                if (!await this.reclaimInterface()) {
+                    throw new Error(`Could not re-claim interface ${this.interface}`);
+                }
+                break;
+                
+            case RecoveryStep.RESET:
+                await this.reset();
+                // Claims do not survive the reset on every platform
+                await this.reclaimInterface();
+                break;
+                
+            default:
+                throw new Error(`Unknown recovery step '${step}'`);
+        }
+    }
+    
+    /**
+     * List all Samsung devices in Download mode that this origin is
+     * already authorized for (no chooser)
+     * Each DeviceInfo keeps its WebUSB handle in `device`
+     * @param {USB} usb - WebUSB implementation (defaults to navigator.usb)
+     * @param {DeviceFilterRegistry} filters - Defaults to the shared registry
+     */
+    static async listDevices(usb = null, filters = null) {
+        const devices = await (usb || UsbDevice.defaultUsb()).getDevices();
+        const registry = filters || DeviceFilterRegistry.shared();
         const samsungDevices = [];
         
         for (const device of devices) {
-            if (device.vendorId === SAMSUNG_VENDOR_ID && 
-                SAMSUNG_DOWNLOAD_MODE_PIDS.includes(device.productId)) {
+            if (registry.matches(device)) {
                 
                 const deviceInfo = new DeviceInfo(
                     device.vendorId,
@@ -405,6 +778,7 @@ class UsbDevice {
                 deviceInfo.manufacturer = device.manufacturerName || "";
                 deviceInfo.product = device.productName || "";
                 deviceInfo.serialNumber = device.serialNumber || "";
+                deviceInfo.device = device;
                 
                 samsungDevices.push(deviceInfo);
             }
@@ -412,5 +786,23 @@ class UsbDevice {
         
         return samsungDevices;
     }
+    
+    /**
+     * Find an authorized device by USB serial number (like odin4 -d)
+     * @param {string} serialNumber - USB serial number
+     * @param {USB} usb - WebUSB implementation (defaults to navigator.usb)
+     * @returns {Promise<USBDevice|null>}
+     */
+    static async findAuthorizedDevice(serialNumber, usb = null) {
+        const devices = await UsbDevice.listDevices(usb);
+        const match = devices.find(info => info.serialNumber === serialNumber);
+        return match ? match.device : null;
+    }
+    
+    /**
+     * WebUSB implementation of the current environment
+     */
+    static defaultUsb() {
+        return (typeof navigator !== 'undefined' && navigator.usb) ? navigator.usb : null;
+    }
 }
-
@@ -0,0 +1,363 @@
+/**
+ * USB traffic capture and replay
+ *
+ * UsbTraceRecorder hooks write()/read() of any transport and records every
+ * transfer: direction, bytes, timestamp and protocol phase (set by
+ * DownloadEngine.setPhase). Traces export to JSON and pcapng (USBPcap link
+ * type, opens in Wireshark). ReplayTransport feeds a JSON trace back to
+ * DownloadEngine as the device side, so a reported failure can be
+ * reproduced offline.
+ */
+
+const USB_TRACE_VERSION = 1;
+
+// pcapng / USBPcap constants
+const PCAPNG_LINKTYPE_USBPCAP = 249;
+const USBPCAP_HEADER_SIZE = 27;
+const USBPCAP_TRANSFER_BULK = 3;
+const URB_FUNCTION_BULK_OR_INTERRUPT_TRANSFER = 0x0009;
+
+class UsbTraceRecord {
+    constructor(direction, data, length, timestamp, phase) {
+        this.direction = direction;  // 'out' or 'in'
+        this.length = length;        // Bytes actually transferred
+        this.data = data;            // Uint8Array (writes possibly truncated to maxPayload)
+        this.timestamp = timestamp;  // ms since capture start
+        this.phase = phase;
+        this.error = null;           // UsbErrorCode when the transfer failed
+    }
+}
+
+class UsbTraceRecorder {
+    /**
+     * @param {number} maxPayload - Bytes of payload kept per host write (file data
+     *                              blocks are large; commands are 1024 bytes).
+     *                              Device reads are always kept in full, so a
+     *                              DUMP replays byte for byte
+     */
+    constructor(maxPayload = 4096) {
+        this.maxPayload = maxPayload;
+        this.records = [];
+        this.deviceInfo = null;
+        this.transport = null;
+        this.startTime = 0;
+        this.startDate = null;
+    }
+
+    /**
+     * Start recording a transport's traffic
+     */
+    attach(transport) {
+        this.detach();
+
+        this.transport = transport;
+        this.records = [];
+        this.startTime = performance.now();
+        this.startDate = new Date();
+
+        const write = transport.write.bind(transport);
+        const read = transport.read.bind(transport);
+
+        transport.write = async (data, timeout, terminate, probe) => {
+            const record = this.record('out', data);
+            try {
+                return await write(data, timeout, terminate, probe);
+            } catch (error) {
+                record.error = error.code || UsbErrorCode.FAILED;
+                throw error;
+            }
+        };
+
+        transport.read = async (size, timeout, probe) => {
+            try {
+                const data = await read(size, timeout, probe);
+                this.record('in', data);
+                return data;
+            } catch (error) {
+                this.record('in', null).error = error.code || UsbErrorCode.FAILED;
+                throw error;
+            }
+        };
+    }
+
+    /**
+     * Stop recording (restores the transport's own write/read)
+     */
+    detach() {
+        if (!this.transport) {
+            return;
+        }
+
+        delete this.transport.write;
+        delete this.transport.read;
+        this.deviceInfo = this.transport.deviceInfo;
+        this.transport = null;
+    }
+
+    record(direction, data) {
+        const kept = direction === 'out' && data && data.length > this.maxPayload ? data.slice(0, this.maxPayload) : data;
+        const record = new UsbTraceRecord(
+            direction,
+            kept ? kept.slice() : null,
+            data ? data.length : 0,
+            performance.now() - this.startTime,
+            this.transport ? this.transport.phase : 'idle'
+        );
+        this.records.push(record);
+        return record;
+    }
+
+    /**
+     * Export as a JSON-serializable object
+     */
+    toJSON() {
+        const deviceInfo = this.transport ? this.transport.deviceInfo : this.deviceInfo;
+
+        return {
+            version: USB_TRACE_VERSION,
+            createdAt: (this.startDate || new Date()).toISOString(),
+            maxPayload: this.maxPayload,
+            deviceInfo: deviceInfo ? {
+                vendorId: deviceInfo.vendorId,
+                productId: deviceInfo.productId,
+                manufacturer: deviceInfo.manufacturer,
+                product: deviceInfo.product,
+                serialNumber: deviceInfo.serialNumber,
+                protocolVersion: deviceInfo.protocolVersion
+            } : null,
+            records: this.records.map(record => ({
+                direction: record.direction,
+                length: record.length,
+                data: record.data ? bytesToHex(record.data) : null,
+                timestamp: Math.round(record.timestamp * 1000) / 1000,
+                phase: record.phase,
+                error: record.error
+            }))
+        };
+    }
+
+    /**
+     * Export as a JSON Blob
+     */
+    exportJson() {
+        return new Blob([JSON.stringify(this.toJSON(), null, 1)], { type: 'application/json' });
+    }
+
+    /**
+     * Export as a pcapng Blob (LINKTYPE_USBPCAP)
+     */
+    exportPcapng() {
+        const blocks = [this.pcapngSectionHeader(), this.pcapngInterfaceDescription()];
+        const startUs = (this.startDate || new Date()).getTime() * 1000;
+
+        this.records.forEach((record, index) => {
+            blocks.push(this.pcapngEnhancedPacket(record, index, startUs));
+        });
+
+        return new Blob(blocks, { type: 'application/octet-stream' });
+    }
+
+    pcapngSectionHeader() {
+        const block = new DataView(new ArrayBuffer(28));
+        block.setUint32(0, 0x0A0D0D0A, true);   // Block type
+        block.setUint32(4, 28, true);           // Block length
+        block.setUint32(8, 0x1A2B3C4D, true);   // Byte-order magic
+        block.setUint16(12, 1, true);           // Major version
+        block.setUint16(14, 0, true);           // Minor version
+        block.setUint32(16, 0xFFFFFFFF, true);  // Section length (unknown)
+        block.setUint32(20, 0xFFFFFFFF, true);
+        block.setUint32(24, 28, true);
+        return new Uint8Array(block.buffer);
+    }
+
+    pcapngInterfaceDescription() {
+        const block = new DataView(new ArrayBuffer(20));
+        block.setUint32(0, 0x00000001, true);   // Block type
+        block.setUint32(4, 20, true);
+        block.setUint16(8, PCAPNG_LINKTYPE_USBPCAP, true);
+        block.setUint16(10, 0, true);           // Reserved
+        block.setUint32(12, 0, true);           // Snap length (no limit)
+        block.setUint32(16, 20, true);
+        return new Uint8Array(block.buffer);
+    }
+
+    pcapngEnhancedPacket(record, index, startUs) {
+        const payload = record.data || new Uint8Array(0);
+        const capturedLength = USBPCAP_HEADER_SIZE + payload.length;
+        const paddedLength = Math.ceil(capturedLength / 4) * 4;
+        const blockLength = 32 + paddedLength;
+
+        const bytes = new Uint8Array(blockLength);
+        const block = new DataView(bytes.buffer);
+        const isIn = record.direction === 'in';
+        const timestamp = startUs + Math.round(record.timestamp * 1000);
+
+        block.setUint32(0, 0x00000006, true);   // Block type
+        block.setUint32(4, blockLength, true);
+        block.setUint32(8, 0, true);            // Interface ID
+        block.setUint32(12, Math.floor(timestamp / 0x100000000), true);
+        block.setUint32(16, timestamp >>> 0, true);
+        block.setUint32(20, capturedLength, true);
+        block.setUint32(24, USBPCAP_HEADER_SIZE + record.length, true);  // Original length
+
+        // USBPcap packet header
+        const h = 28;
+        block.setUint16(h + 0, USBPCAP_HEADER_SIZE, true);
+        block.setUint32(h + 2, index, true);    // IRP ID (low)
+        block.setUint32(h + 6, 0, true);        // IRP ID (high)
+        block.setUint32(h + 10, record.error ? 0xC0000001 : 0, true);  // USBD status
+        block.setUint16(h + 14, URB_FUNCTION_BULK_OR_INTERRUPT_TRANSFER, true);
+        bytes[h + 16] = isIn ? 1 : 0;           // Info: 1 = completion (device to host)
+        block.setUint16(h + 17, 1, true);       // Bus
+        block.setUint16(h + 19, 1, true);       // Device address
+        bytes[h + 21] = isIn ? (USB_ENDPOINT_IN | 0x80) : USB_ENDPOINT_OUT;
+        bytes[h + 22] = USBPCAP_TRANSFER_BULK;
+        block.setUint32(h + 23, payload.length, true);
+
+        bytes.set(payload, h + USBPCAP_HEADER_SIZE);
+        block.setUint32(blockLength - 4, blockLength, true);
+
+        return bytes;
+    }
+}
+
+/**
+ * Transport that plays back a recorded trace as the device side
+ *
+ * Writes are checked against the recorded host writes (the kept payload
+ * prefix); reads return the recorded device responses in full, and recorded
+ * failures (timeouts, disconnects) are raised again at the same point.
+ */
+class ReplayTransport extends Transport {
+    /**
+     * @param {Object} trace - Parsed JSON trace (UsbTraceRecorder.toJSON())
+     * @param {boolean} strict - Throw on the first write that differs from the trace
+     */
+    constructor(trace, strict = false, verbose = false) {
+        super(verbose);
+
+        if (!trace || trace.version !== USB_TRACE_VERSION || !Array.isArray(trace.records)) {
+            throw new Error("Not a PyOdin USB trace");
+        }
+
+        this.strict = strict;
+        this.records = trace.records.map(record => ({
+            ...record,
+            data: record.data !== null ? hexToBytes(record.data) : null
+        }));
+        this.cursor = 0;
+        this.mismatches = [];
+
+        const info = trace.deviceInfo || {};
+        this.deviceInfo = new DeviceInfo(info.vendorId || SAMSUNG_VENDOR_ID, info.productId || SAMSUNG_DOWNLOAD_MODE_PIDS[0]);
+        this.deviceInfo.manufacturer = info.manufacturer || "";
+        this.deviceInfo.product = `${info.product || 'Samsung Device'} (replay)`;
+        this.deviceInfo.serialNumber = info.serialNumber || "";
+    }
+
+    log(message) {
+        if (this.verbose) {
+            log(`[ReplayTransport] ${message}`, 'info');
+        }
+    }
+
+    async open() {
+        this.cursor = 0;
+        this.mismatches = [];
+        this.log(`Replaying ${this.records.length} recorded transfers`);
+        return true;
+    }
+
+    async write(data, timeout = TIMEOUT_WRITE, terminate = false) {
+        const record = this.next('out');
+
+        const expected = record.data || new Uint8Array(0);
+        const actual = data.slice(0, expected.length);
+        if (record.length !== data.length || !arrayEquals(actual, expected)) {
+            const message = `Transfer ${this.cursor - 1} (${record.phase}): host wrote ${data.length} bytes, trace has ${record.length}`;
+            this.mismatches.push(message);
+            if (this.strict) {
+                throw new Error(`Replay diverged - ${message}`);
+            }
+            log(`[ReplayTransport] ${message}`, 'warning');
+        }
+
+        if (record.error) {
+            throw new UsbTransferError(`Replayed write failure (${record.error})`, record.error, 'out');
+        }
+
+        // Terminating ZLP the recorded UsbDevice sent after this write
+        if (terminate && data.length > 0 && this.peekZlp()) {
+            this.next('out');
+        }
+
+        return data.length;
+    }
+
+    /**
+     * Replays the outcome of the recorded UsbDevice ZLP probe
+     */
+    async detectZlpSupport() {
+        this.supportsZlp = this.peekZlp();
+        if (this.supportsZlp || this.peekZlp(true)) {
+            this.cursor++;
+        }
+        this.deviceInfo.supportsZlp = this.supportsZlp;
+        return this.supportsZlp;
+    }
+
+    /**
+     * Is the next recorded transfer a zero-length write?
+     * @param {boolean} failed - Look for a failed one instead
+     */
+    peekZlp(failed = false) {
+        const record = this.records[this.cursor];
+        return !!record && record.direction === 'out' && record.length === 0 && !!record.error === failed;
+    }
+
+    async read(size, timeout = TIMEOUT_READ) {
+        const record = this.next('in');
+
+        if (record.error) {
+            throw new UsbTransferError(`Replayed read failure (${record.error})`, record.error, 'in');
+        }
+
+        return record.data.length > size ? record.data.slice(0, size) : record.data;
+    }
+
+    async reset() {
+        this.log("Reset (ignored during replay)");
+    }
+
+    /**
+     * Recovery actions are not transfers, so they are not in the trace; the
+     * retried handshake that follows them is
+     */
+    get recoverySteps() {
+        return [RecoveryStep.CLEAR_HALT, RecoveryStep.RECLAIM_INTERFACE, RecoveryStep.RESET];
+    }
+
+    async recover(step) {
+        this.log(`Recovery step '${step}' (ignored during replay)`);
+    }
+
+    async close() {
+        this.log(`Replay closed at transfer ${this.cursor}/${this.records.length}, ${this.mismatches.length} mismatch(es)`);
+    }
+
+    /**
+     * Take the next recorded transfer, which must go in `direction`
+     */
+    next(direction) {
+        if (this.cursor >= this.records.length) {
+            throw new UsbTransferError("Replay trace exhausted", UsbErrorCode.DISCONNECTED, direction);
+        }
+
+        const record = this.records[this.cursor++];
+        if (record.direction !== direction) {
+            throw new Error(`Replay diverged at transfer ${this.cursor - 1} (${record.phase}): host did a ${direction === 'in' ? 'read' : 'write'}, trace has a ${record.direction === 'in' ? 'read' : 'write'}`);
+        }
+
+        return record;
+    }
+}
@@ -17,6 +17,29 @@ function formatBytes(bytes, decimals = 2) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
 }
 
+/**
+ * Format a transfer rate (bytes/s) as MB/s
+ */
+function formatSpeed(bytesPerSecond) {
+    return `${(bytesPerSecond / (1024 * 1024)).toFixed(1)} MB/s`;
+}
+
+/**
+ * Format seconds as "1h 02m 03s" / "2m 03s" / "3.4s"
+ */
+function formatDuration(seconds) {
+    if (seconds < 60) {
+        return `${seconds.toFixed(1)}s`;
+    }
+    
+    const s = Math.round(seconds);
+    const h = Math.floor(s / 3600);
+    const m = Math.floor((s % 3600) / 60);
+    const pad = (n) => String(n).padStart(2, '0');
+    
+    return h > 0 ? `${h}h ${pad(m)}m ${pad(s % 60)}s` : `${m}m ${pad(s % 60)}s`;
+}
+
 /**
  * Log message to console and UI
  */
@@ -26,7 +49,11 @@ function log(message, type = 'info') {
     
     console.log(fullMessage);
     
-    // Add to UI log
+    // Add to UI log (not available under Node or in a Worker)
+    if (typeof document === 'undefined') {
+        return;
+    }
+    
     const logContainer = document.getElementById('log-container');
     if (logContainer) {
         const logEntry = document.createElement('div');
@@ -61,6 +88,25 @@ function updateProgress(percentage, message) {
     }
 }
 
+/**
+ * One-line status for a DownloadProgress: file, bytes, speed and ETA
+ * (or the status of a step without a byte count)
+ */
+function formatProgress(progress) {
+    if (progress.status) {
+        return progress.status;
+    }
+    
+    let text = `${progress.currentFile}: ${formatBytes(progress.bytesTransferred)} / ${formatBytes(progress.totalBytes)}`;
+    if (progress.speed > 0) {
+        text += ` - ${formatSpeed(progress.speed)}`;
+    }
+    if (progress.eta !== null && progress.eta !== undefined) {
+        text += `, ${formatDuration(progress.eta)} left`;
+    }
+    return text;
+}
+
 /**
  * Compare byte arrays
  */
@@ -245,11 +291,62 @@ function createZeroBuffer(size) {
 }
 
 /**
- * Show error dialog
+ * Offer a Blob as a file download
  */
-function showError(message) {
+function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Show an error in the error panel
+ * @param {string} message
+ * @param {Error} error - The cause; an OdinProtocolError adds what went wrong and next steps
+ */
+function showError(message, error = null) {
     log(message, 'error');
-    alert('Error: ' + message);
+    
+    const panel = document.getElementById('error-panel');
+    if (!panel) {
+        alert('Error: ' + message);
+        return;
+    }
+    
+    document.getElementById('error-panel-message').textContent = message;
+    const explanation = document.getElementById('error-panel-explanation');
+    const details = document.getElementById('error-panel-details');
+    const steps = document.getElementById('error-panel-steps');
+    details.innerHTML = '';
+    steps.innerHTML = '';
+    
+    const protocolError = error instanceof OdinProtocolError ? error : null;
+    explanation.textContent = protocolError ? protocolError.explanation : '';
+    explanation.classList.toggle('hidden', !protocolError);
+    
+    if (protocolError) {
+        details.textContent = protocolError.details.map(([label, value]) => `${label}: ${value}`).join(' | ');
+        for (const step of protocolError.remediation) {
+            const li = document.createElement('li');
+            li.textContent = step;
+            steps.appendChild(li);
+        }
+    }
+    details.classList.toggle('hidden', !protocolError);
+    document.getElementById('error-panel-next').classList.toggle('hidden', !protocolError);
+    
+    panel.classList.remove('hidden');
+    panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Close the error panel
+ */
+function dismissError() {
+    document.getElementById('error-panel').classList.add('hidden');
 }
 
 /**
@@ -0,0 +1,125 @@
+/**
+ * Run the PyOdin Web protocol code under Node
+ *
+ * The webapp modules are plain browser scripts sharing one global scope,
+ * so they are evaluated together in a single vm context.
+ *
+ *   const { loadOdin } = require('./node/odin');
+ *   const { webusb } = require('usb');            // npm install usb
+ *   const odin = loadOdin({ usb: webusb, verbose: true });
+ *
+ *   const flasher = new odin.OdinFlasher(true, webusb);
+ *   await flasher.connectBySerial('R58M12345AB');
+ *
+ * Without hardware, use the in-memory backend:
+ *
+ *   const flasher = new odin.OdinFlasher(true);
+ *   await flasher.connectTransport(new odin.MockTransport());
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Load order matches index.html (UI-only modules left out)
+const SCRIPTS = [
+    'js/constants.js',
+    'js/utils.js',
+    'js/device-filters.js',
+    'js/transfer-profiles.js',
+    'js/transfer-stats.js',
+    'js/transport.js',
+    'js/protocol-errors.js',
+    'js/usb-descriptors.js',
+    'js/usb-device.js',
+    'js/firmware-parser.js',
+    'js/pit-parser.js',
+    'js/lz4-streaming.js',
+    'js/transfer-pipeline.js',
+    'js/size-scanner.js',
+    'js/download-engine.js',
+    'js/transfer-benchmark.js',
+    'js/usb-trace.js',
+    'js/flasher.js',
+    'js/flash-worker-client.js'
+];
+
+const EXPORTS = [
+    'OdinFlasher',
+    'FlashWorkerClient',
+    'FlashOptions',
+    'FlashResult',
+    'EndAction',
+    'DownloadEngine',
+    'DownloadProgress',
+    'TransferBenchmark',
+    'TransferProfile',
+    'TransferSettings',
+    'TransferStats',
+    'TransferTiming',
+    'Transport',
+    'MockTransport',
+    'ReplayTransport',
+    'UsbTraceRecorder',
+    'UsbDevice',
+    'UsbTransferError',
+    'OdinProtocolError',
+    'UsbErrorCode',
+    'DeviceInfo',
+    'UsbDescriptorReader',
+    'UsbLinkSpeed',
+    'DeviceFilterRegistry',
+    'DeviceFilter',
+    'FirmwareParser',
+    'FirmwareData',
+    'FirmwareItem',
+    'SizeScanner',
+    'ItemSizes',
+    'PitParser',
+    'PitData',
+    'PitEntry'
+];
+
+/**
+ * Evaluate the protocol modules and return their classes
+ * @param {Object} options - { usb: WebUSB implementation, verbose: log to console }
+ */
+function loadOdin(options = {}) {
+    const context = {
+        console,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        TextEncoder,
+        TextDecoder,
+        EventTarget,
+        Event,
+        CustomEvent,
+        Blob,
+        ReadableStream,
+        WritableStream,
+        TransformStream,
+        ByteLengthQueuingStrategy,
+        DecompressionStream,
+        performance,
+        navigator: { usb: options.usb || null }
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    for (const script of SCRIPTS) {
+        const source = fs.readFileSync(path.join(ROOT, script), 'utf8');
+        vm.runInContext(source, context, { filename: script });
+    }
+
+    if (!options.verbose) {
+        vm.runInContext('log = () => {};', context);
+    }
+
+    return vm.runInContext(`({ ${EXPORTS.join(', ')} })`, context);
+}
+
+module.exports = { loadOdin };
@@ -0,0 +1,24 @@
+/**
+ * FirmwareData copies handed to device slots
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadOdin } = require('../node/odin');
+
+test('FirmwareData.copy() shares item data but not PIT matching', () => {
+    const odin = loadOdin();
+    const firmware = new odin.FirmwareData();
+    const data = new Uint8Array(16);
+    firmware.items.push(new odin.FirmwareItem('boot.img', data, { size: 16 }));
+
+    const first = firmware.copy();
+    const second = firmware.copy();
+    first.items[0].info.partition_id = 3;
+    second.items[0].info.partition_id = 5;
+
+    assert.strictEqual(first.items[0].data, data);
+    assert.strictEqual(first.items[0].info.partition_id, 3);
+    assert.strictEqual(second.items[0].info.partition_id, 5);
+    assert.strictEqual(firmware.items[0].info.partition_id, undefined);
+});
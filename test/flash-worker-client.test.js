@@ -0,0 +1,108 @@
+/**
+ * FlashWorkerClient against a fake WebUSB chooser and an in-process worker stub
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadOdin } = require('../node/odin');
+
+const DEVICE = { vendorId: 0x04e8, productId: 0x685d, serialNumber: 'R58M12345AB', productName: 'SAMSUNG USB' };
+
+/**
+ * Client whose worker answers 'connect' with a DeviceInfo for the identity it
+ * was sent, and 'flash' with a stopped result if 'stopFlash' came before it finished
+ */
+function clientWithWorker(odin, calls) {
+    const client = new odin.FlashWorkerClient();
+    let stopped = false;
+    const results = {
+        connect: (identity) => ({ ...identity, modelName: 'SM-G973F' }),
+        flash: () => ({ success: !stopped, stopped }),
+        stopFlash: () => null
+    };
+    client.worker = {
+        results,
+        postMessage(message) {
+            calls.push(message);
+            // Like the worker's flash handler: a stop takes effect before the flash answers
+            if (message.method === 'stopFlash') {
+                stopped = true;
+            }
+            setTimeout(() => client.handleMessage({
+                id: message.id,
+                result: results[message.method](...message.args),
+                state: { isConnected: true, isFlashing: false }
+            }), 0);
+        }
+    };
+    return client;
+}
+
+test('connectDevice() without a device connects the one picked in the chooser', async () => {
+    const usb = { requestDevice: async () => DEVICE, getDevices: async () => [DEVICE] };
+    const odin = loadOdin({ usb });
+    const calls = [];
+    const client = clientWithWorker(odin, calls);
+
+    const deviceInfo = await client.connectDevice();
+
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].method, 'connect');
+    assert.deepStrictEqual({ ...calls[0].args[0] }, {
+        vendorId: DEVICE.vendorId,
+        productId: DEVICE.productId,
+        serialNumber: DEVICE.serialNumber
+    });
+    assert.strictEqual(deviceInfo.serialNumber, DEVICE.serialNumber);
+    assert.strictEqual(deviceInfo.modelName, 'SM-G973F');
+    assert.ok(client.isConnected);
+});
+
+test('connectDevice() rejects when the chooser is cancelled', async () => {
+    const usb = { requestDevice: async () => { throw new Error('No device selected.'); }, getDevices: async () => [] };
+    const odin = loadOdin({ usb });
+    const calls = [];
+    const client = clientWithWorker(odin, calls);
+
+    await assert.rejects(client.connectDevice(), /No Samsung device found/);
+    assert.strictEqual(calls.length, 0);
+});
+
+test('UsbDevice.findDevice() keeps the WebUSB handle on its DeviceInfo', async () => {
+    const usb = { requestDevice: async () => DEVICE, getDevices: async () => [DEVICE] };
+    const odin = loadOdin({ usb });
+
+    const deviceInfo = await new odin.UsbDevice(false, usb).findDevice();
+
+    assert.strictEqual(deviceInfo.device, DEVICE);
+});
+
+test('flash() with an already aborted signal asks the worker to stop', async () => {
+    const odin = loadOdin();
+    const calls = [];
+    const client = clientWithWorker(odin, calls);
+    const controller = new AbortController();
+    controller.abort();
+
+    const result = await client.flash(new odin.FirmwareData(), {}, null, controller.signal);
+
+    assert.deepStrictEqual(calls.map(call => call.method), ['flash', 'stopFlash']);
+    assert.ok(result.stopped);
+});
+
+test('listPartitions() hands back PitEntry instances with their partition size', async () => {
+    const odin = loadOdin();
+    const calls = [];
+    const client = clientWithWorker(odin, calls);
+    const entry = new odin.PitEntry();
+    entry.partitionName = 'EFS';
+    entry.numBlocks = 40960;
+    // What structured cloning leaves of a PitEntry: own fields, no getter
+    client.worker.results.listPartitions = () => [{ ...entry }];
+
+    const [received] = await client.listPartitions();
+
+    assert.ok(received instanceof odin.PitEntry);
+    assert.strictEqual(received.partitionName, 'EFS');
+    assert.strictEqual(received.partitionSize, entry.partitionSize);
+});
@@ -0,0 +1,318 @@
+/**
+ * OdinFlasher sessions against MockTransport
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadOdin } = require('../node/odin');
+
+const BLOCK_SIZE = 0x10000;
+
+/**
+ * LZ4 frame of `blocks` 64KB blocks of zeros, each a few bytes compressed
+ */
+function lz4Frame(blocks) {
+    // One literal, then a 65535-byte match at offset 1
+    const block = [0x1F, 0x00, 0x01, 0x00, ...new Array(256).fill(255), 236];
+    const bytes = [0x04, 0x22, 0x4D, 0x18, 0x60, 0x40, 0x00];
+    for (let i = 0; i < blocks; i++) {
+        bytes.push(block.length & 0xFF, block.length >> 8, 0, 0, ...block);
+    }
+    bytes.push(0, 0, 0, 0);
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Totals the session announced in 100/2
+ */
+function announcedTotals(transport) {
+    return Array.from(transport.writes)
+        .filter(data => data.length === 1024)
+        .map(data => new DataView(data.buffer, data.byteOffset, data.length))
+        .filter(view => view.getUint32(0, true) === 100 && view.getUint32(4, true) === 2)
+        .map(view => Number(view.getBigUint64(8, true)));
+}
+
+/**
+ * LZ4 frame of `blocks` 64KB blocks stored uncompressed, so it is as large as its content
+ */
+function storedLz4Frame(blocks) {
+    const bytes = new Uint8Array(7 + blocks * (4 + BLOCK_SIZE) + 4);
+    const view = new DataView(bytes.buffer);
+    bytes.set([0x04, 0x22, 0x4D, 0x18, 0x60, 0x40, 0x00]);
+    for (let i = 0; i < blocks; i++) {
+        const offset = 7 + i * (4 + BLOCK_SIZE);
+        view.setUint32(offset, 0x80000000 | BLOCK_SIZE, true);
+        bytes.fill(i + 1, offset + 4, offset + 4 + BLOCK_SIZE);
+    }
+    return bytes;
+}
+
+function lz4Firmware(odin, frame) {
+    const firmware = new odin.FirmwareData();
+    firmware.items.push(new odin.FirmwareItem('boot.img.lz4', frame, {
+        size: frame.length,
+        compression_type: 'lz4',
+        is_compressed: true
+    }));
+    return firmware;
+}
+
+test('a refused compressed download goes on decompressed in a new session', async () => {
+    const odin = loadOdin();
+    const frame = lz4Frame(4);
+    const transport = new odin.MockTransport(odin.MockTransport.odinResponder({ protocolVersion: 4, compressedDownload: false }));
+    const flasher = new odin.OdinFlasher();
+    await flasher.connectTransport(transport);
+
+    const result = await flasher.flash(lz4Firmware(odin, frame), { endAction: odin.EndAction.STAY });
+
+    assert.strictEqual(result.stopped, false);
+    assert.deepStrictEqual(Array.from(flasher.downloadEngine.partitionsWritten), ['boot.img.lz4']);
+    assert.deepStrictEqual(announcedTotals(transport), [frame.length, 4 * BLOCK_SIZE]);
+    const fileData = transport.writes.filter(data => data.length !== 1024 && data.length > 4);
+    assert.strictEqual(fileData.reduce((sum, data) => sum + data.length, 0), 4 * BLOCK_SIZE);
+
+    await flasher.flash(lz4Firmware(odin, frame), { endAction: odin.EndAction.STAY });
+    assert.deepStrictEqual(announcedTotals(transport), [frame.length, 4 * BLOCK_SIZE, 4 * BLOCK_SIZE]);
+});
+
+test('a refused compressed download is not held against another device with no serial or identity', async () => {
+    const odin = loadOdin();
+    const frame = lz4Frame(4);
+    const flasher = new odin.OdinFlasher();
+    const refusing = new odin.MockTransport(odin.MockTransport.odinResponder({ protocolVersion: 4, compressedDownload: false, identity: null }));
+    await flasher.connectTransport(refusing);
+    flasher.deviceInfo.serialNumber = '';
+    await flasher.flash(lz4Firmware(odin, frame), { endAction: odin.EndAction.STAY });
+
+    const other = new odin.MockTransport(odin.MockTransport.odinResponder({ protocolVersion: 4, identity: null }));
+    await flasher.connectTransport(other);
+    flasher.deviceInfo.serialNumber = '';
+    await flasher.flash(lz4Firmware(odin, frame), { endAction: odin.EndAction.STAY });
+
+    assert.deepStrictEqual(announcedTotals(other), [frame.length]);
+});
+
+test('compressed sequences grow to fit an LZ4 block larger than the sequence size override', async () => {
+    const odin = loadOdin();
+    const frame = lz4Frame(4);
+    const transport = new odin.MockTransport(odin.MockTransport.odinResponder({ protocolVersion: 4, defaultPacketSize: 0x800 }));
+    const flasher = new odin.OdinFlasher();
+    flasher.setTransferOverrides({ filePartSize: 0x20000, sequenceSize: 0x20 });
+    await flasher.connectTransport(transport);
+
+    const result = await flasher.flash(lz4Firmware(odin, frame), { endAction: odin.EndAction.STAY });
+
+    assert.strictEqual(result.stopped, false);
+    assert.deepStrictEqual(Array.from(flasher.downloadEngine.partitionsWritten), ['boot.img.lz4']);
+});
+
+/**
+ * Serialized PIT with one partition per [name, flash filename, blocks]
+ */
+function pitFor(odin, partitions) {
+    const pit = new odin.PitData();
+    pit.magic = 0x12349876;
+    pit.count = partitions.length;
+    partitions.forEach(([name, filename, numBlocks], index) => {
+        const entry = new odin.PitEntry();
+        entry.deviceType = 2;
+        entry.partitionId = index + 3;
+        entry.numBlocks = numBlocks;
+        entry.partitionName = name;
+        entry.flashFilename = filename;
+        pit.entries.push(entry);
+    });
+    return new odin.PitParser().serialize(pit);
+}
+
+test('an image larger than its partition fails before 100/2', async () => {
+    const odin = loadOdin();
+    const firmware = new odin.FirmwareData();
+    firmware.pitData = pitFor(odin, [['BOOT', 'boot.img', 1]]);
+    firmware.items.push(new odin.FirmwareItem('boot.img', new Uint8Array(4096), { size: 4096 }));
+
+    const transport = new odin.MockTransport(odin.MockTransport.odinResponder({ protocolVersion: 4 }));
+    const flasher = new odin.OdinFlasher();
+    await flasher.connectTransport(transport);
+
+    await assert.rejects(flasher.flash(firmware), (error) => {
+        assert.strictEqual(error.name, 'OdinProtocolError');
+        assert.strictEqual(error.phase, 'partition-check');
+        assert.strictEqual(error.partition, 'BOOT');
+        return true;
+    });
+    assert.deepStrictEqual(announcedTotals(transport), []);
+});
+
+test('progress, transfer statistics and the stop report name partitions alike', async () => {
+    const odin = loadOdin();
+    const firmware = new odin.FirmwareData();
+    firmware.pitData = pitFor(odin, [['BOOT', 'boot.img', 64], ['RECOVERY', 'recovery.img', 64]]);
+    firmware.items.push(new odin.FirmwareItem('boot.img', new Uint8Array(4096), { size: 4096 }));
+    firmware.items.push(new odin.FirmwareItem('recovery.img', new Uint8Array(4096), { size: 4096 }));
+
+    const transport = new odin.MockTransport(odin.MockTransport.odinResponder({ protocolVersion: 4 }));
+    const flasher = new odin.OdinFlasher();
+    await flasher.connectTransport(transport);
+    const controller = new AbortController();
+    const progressNames = new Set();
+
+    const result = await flasher.flash(firmware, { endAction: odin.EndAction.STAY }, (progress) => {
+        if (progress.currentFile) {
+            progressNames.add(progress.currentFile);
+            controller.abort();
+        }
+    }, controller.signal);
+
+    assert.ok(result.stopped);
+    assert.deepStrictEqual(Array.from(result.written), ['BOOT']);
+    assert.deepStrictEqual(Array.from(result.notStarted), ['RECOVERY']);
+    assert.deepStrictEqual([...progressNames], ['BOOT']);
+    assert.deepStrictEqual(Array.from(flasher.downloadEngine.stats.partitions, partition => partition.name), ['BOOT']);
+});
+
+test('data blocks and sequence finalizes are written without a zero-length packet', async () => {
+    const odin = loadOdin();
+    const transport = new odin.MockTransport(odin.MockTransport.odinResponder({ protocolVersion: 4 }));
+    const terminated = [];
+    const write = transport.write.bind(transport);
+    transport.write = (data, timeout, terminate, probe) => {
+        if (terminate) {
+            terminated.push(data.length);
+        }
+        return write(data, timeout, terminate, probe);
+    };
+    const flasher = new odin.OdinFlasher();
+    await flasher.connectTransport(transport);
+
+    const firmware = new odin.FirmwareData();
+    firmware.items.push(new odin.FirmwareItem('boot.img', new Uint8Array(0x40000), { size: 0x40000 }));
+    const result = await flasher.flash(firmware, { endAction: odin.EndAction.STAY });
+
+    assert.strictEqual(result.stopped, false);
+    assert.deepStrictEqual(terminated, []);
+});
+
+test('a T-Flash session sends 100/8 and still names the phone in every 102/3', async () => {
+    const odin = loadOdin();
+    const transport = new odin.MockTransport(odin.MockTransport.odinResponder({ protocolVersion: 4, tflash: true }));
+    const flasher = new odin.OdinFlasher();
+    await flasher.connectTransport(transport);
+
+    const firmware = new odin.FirmwareData();
+    firmware.items.push(new odin.FirmwareItem('boot.img', new Uint8Array(4096), { size: 4096 }));
+    await flasher.flash(firmware, { endAction: odin.EndAction.STAY, tflash: true });
+
+    const commands = Array.from(transport.writes)
+        .filter(data => data.length === 1024)
+        .map(data => new DataView(data.buffer, data.byteOffset, data.length));
+    const isCommand = (view, cmd, sub) => view.getUint32(0, true) === cmd && view.getUint32(4, true) === sub;
+    const finalizes = commands.filter(view => isCommand(view, 102, 3));
+
+    assert.strictEqual(commands.filter(view => isCommand(view, 100, 8)).length, 1);
+    assert.strictEqual(finalizes.length, 1);
+    assert.strictEqual(finalizes[0].getUint32(8, true), 0);
+});
+
+test('an item of concatenated LZ4 frames is cut into compressed sequences across frame boundaries', async () => {
+    const odin = loadOdin();
+    const frames = [storedLz4Frame(2), storedLz4Frame(2)];
+    const item = new Uint8Array(frames[0].length + frames[1].length);
+    item.set(frames[0]);
+    item.set(frames[1], frames[0].length);
+    const transport = new odin.MockTransport(odin.MockTransport.odinResponder({ protocolVersion: 4, defaultPacketSize: 0x800 }));
+    const flasher = new odin.OdinFlasher();
+    flasher.setTransferOverrides({ filePartSize: BLOCK_SIZE, sequenceSize: 0x20 });
+    await flasher.connectTransport(transport);
+
+    const result = await flasher.flash(lz4Firmware(odin, item), { endAction: odin.EndAction.STAY });
+
+    assert.strictEqual(result.stopped, false);
+    const begins = Array.from(transport.writes)
+        .filter(data => data.length === 1024)
+        .map(data => new DataView(data.buffer, data.byteOffset, data.length))
+        .filter(view => view.getUint32(0, true) === 102 && view.getUint32(4, true) === 5)
+        .map(view => view.getUint32(8, true));
+    assert.ok(begins.length > 2);
+    assert.strictEqual(begins.reduce((sum, size) => sum + size, 0), item.length);
+});
+
+test('a partition backup streams to its file and needs one', async () => {
+    const odin = loadOdin();
+    const efs = new Uint8Array(0x30000).map((_, i) => i & 0xFF);
+    const transport = new odin.MockTransport(odin.MockTransport.odinResponder({
+        protocolVersion: 4,
+        pitData: pitFor(odin, [['EFS', 'efs.img', 0x180]]),
+        partitions: { 3: efs }
+    }));
+    const flasher = new odin.OdinFlasher();
+    await flasher.connectTransport(transport);
+
+    await assert.rejects(flasher.dumpPartition('EFS'), /needs a file/);
+
+    const written = [];
+    const fileHandle = {
+        createWritable: async () => ({
+            write: async (chunk) => { written.push(chunk.slice()); },
+            close: async () => {},
+            abort: async () => {}
+        })
+    };
+    const size = await flasher.dumpPartition('EFS', fileHandle);
+
+    assert.strictEqual(size, efs.length);
+    assert.ok(written.length > 1);
+    assert.ok(Buffer.concat(written.map(chunk => Buffer.from(chunk))).equals(Buffer.from(efs)));
+});
+
+test('a final sequence answer that times out and cannot be cancelled fails the flash instead of continuing', async () => {
+    const odin = loadOdin();
+    const transport = new odin.MockTransport(odin.MockTransport.odinResponder({ protocolVersion: 4 }));
+    const flasher = new odin.OdinFlasher();
+    await flasher.connectTransport(transport);
+    const read = transport.read.bind(transport);
+    transport.read = async (size, timeout, probe) => {
+        const last = transport.writes[transport.writes.length - 1];
+        const view = new DataView(last.buffer, last.byteOffset, last.length);
+        if (last.length === 1024 && view.getUint32(0, true) === 102 && view.getUint32(4, true) === 3) {
+            const error = new odin.UsbTransferError('USB read timeout after 120s', 'timeout', 'in');
+            error.pending = true;
+            throw error;
+        }
+        return read(size, timeout, probe);
+    };
+
+    const firmware = new odin.FirmwareData();
+    firmware.items.push(new odin.FirmwareItem('boot.img', new Uint8Array(4096), { size: 4096 }));
+
+    await assert.rejects(flasher.flash(firmware, { endAction: odin.EndAction.STAY }), (error) => {
+        assert.strictEqual(error.name, 'OdinProtocolError');
+        assert.strictEqual(error.subCommand, 3);
+        return true;
+    });
+});
+
+test('a data block the transport only partly writes fails with a protocol error naming the partition', async () => {
+    const odin = loadOdin();
+    const transport = new odin.MockTransport(odin.MockTransport.odinResponder({ protocolVersion: 4 }));
+    const flasher = new odin.OdinFlasher();
+    await flasher.connectTransport(transport);
+    const write = transport.write.bind(transport);
+    transport.write = async (data, ...rest) => {
+        const written = await write(data, ...rest);
+        return data.length === flasher.downloadEngine.fileTransferPacketSize ? written - 512 : written;
+    };
+
+    const firmware = new odin.FirmwareData();
+    firmware.items.push(new odin.FirmwareItem('boot.img', new Uint8Array(4096), { size: 4096 }));
+
+    await assert.rejects(flasher.flash(firmware, { endAction: odin.EndAction.STAY }), (error) => {
+        assert.strictEqual(error.name, 'OdinProtocolError');
+        assert.strictEqual(error.command, 102);
+        assert.strictEqual(error.partition, 'boot.img');
+        assert.ok(error.hint.remediation.length > 0);
+        return true;
+    });
+});
@@ -0,0 +1,19 @@
+/**
+ * SizeScanner against real compressed data
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+const { loadOdin } = require('../node/odin');
+
+test('gzip sizes are counted across every member, not read from ISIZE', async () => {
+    const odin = loadOdin();
+    const data = new Uint8Array(Buffer.concat([zlib.gzipSync(Buffer.alloc(3000, 1)), zlib.gzipSync(Buffer.alloc(500, 2))]));
+    const item = new odin.FirmwareItem('cache.img.gz', data, { size: data.length, compression_type: 'gzip', is_compressed: true });
+
+    const sizes = await new odin.SizeScanner().scan(item, 'gzip');
+
+    assert.strictEqual(sizes.storedSize, data.length);
+    assert.strictEqual(sizes.decodedSize, 3500);
+});
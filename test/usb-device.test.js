@@ -0,0 +1,84 @@
+/**
+ * UsbDevice timeouts against a fake WebUSB device
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadOdin } = require('../node/odin');
+
+/**
+ * Opened WebUSB device whose IN transfers never complete, counting recovery calls
+ */
+function silentDevice() {
+    const calls = { clearHalt: 0, reset: 0, claimInterface: 0 };
+    const device = {
+        vendorId: 0x04e8,
+        productId: 0x685d,
+        serialNumber: 'R58M12345AB',
+        opened: true,
+        transferOut: async (endpoint, data) => ({ status: 'ok', bytesWritten: data.length }),
+        transferIn: () => new Promise(() => {}),
+        clearHalt: async () => { calls.clearHalt++; },
+        releaseInterface: async () => {},
+        claimInterface: async () => { calls.claimInterface++; },
+        reset: async () => { calls.reset++; }
+    };
+    return { device, calls };
+}
+
+function openUsbDevice(odin, device) {
+    const usbDevice = new odin.UsbDevice(false, {});
+    usbDevice.useDevice(device);
+    usbDevice.interface = 0;
+    usbDevice.endpointOut = { endpointNumber: 1, packetSize: 512 };
+    usbDevice.endpointIn = { endpointNumber: 2, packetSize: 512 };
+    return usbDevice;
+}
+
+test('an unanswered DVIF query means no identity, without a clear-halt or reset', async () => {
+    const odin = loadOdin();
+    const { device, calls } = silentDevice();
+    const engine = new odin.DownloadEngine(openUsbDevice(odin, device));
+
+    const identity = await engine.requestDeviceIdentity(0.05);
+
+    assert.strictEqual(identity, null);
+    assert.strictEqual(calls.clearHalt, 0);
+    assert.strictEqual(calls.reset, 0);
+    assert.strictEqual(calls.claimInterface, 1);
+});
+
+test('a timed-out command read that cannot be cancelled is reported pending, without a reset', async () => {
+    const odin = loadOdin();
+    const { device, calls } = silentDevice();
+    const usbDevice = openUsbDevice(odin, device);
+
+    await assert.rejects(usbDevice.read(64, 0.05), (error) => error.code === 'timeout' && error.pending === true);
+
+    assert.strictEqual(calls.clearHalt, 1);
+    assert.strictEqual(calls.claimInterface, 1);
+    assert.strictEqual(calls.reset, 0);
+});
+
+test('a timed-out read that the re-claim cancels is not pending', async () => {
+    const odin = loadOdin();
+    const { device, calls } = silentDevice();
+    let cancel = null;
+    device.transferIn = () => new Promise((_, reject) => { cancel = reject; });
+    device.releaseInterface = async () => { cancel(new Error('The transfer was cancelled.')); };
+    const usbDevice = openUsbDevice(odin, device);
+
+    await assert.rejects(usbDevice.read(64, 0.05), (error) => error.code === 'timeout' && error.pending === false);
+    assert.strictEqual(calls.reset, 0);
+});
+
+test('a zero-length packet probe that times out means no ZLP support, without a reset', async () => {
+    const odin = loadOdin();
+    const { device, calls } = silentDevice();
+    device.transferOut = (endpoint, data) => data.length === 0 ? new Promise(() => {}) : Promise.resolve({ status: 'ok', bytesWritten: data.length });
+    const usbDevice = openUsbDevice(odin, device);
+
+    assert.strictEqual(await usbDevice.detectZlpSupport(), false);
+    assert.strictEqual(calls.clearHalt, 0);
+    assert.strictEqual(calls.reset, 0);
+});
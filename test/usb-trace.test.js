@@ -0,0 +1,27 @@
+/**
+ * UsbTraceRecorder captures replayed through ReplayTransport
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadOdin } = require('../node/odin');
+
+test('device reads larger than maxPayload are recorded and replayed in full', async () => {
+    const odin = loadOdin();
+    const dump = new Uint8Array(0x20000).map((_, i) => i & 0xFF);
+    const transport = {
+        phase: 'dump:EFS',
+        write: async (data) => data.length,
+        read: async () => dump
+    };
+    const recorder = new odin.UsbTraceRecorder(4096);
+    recorder.attach(transport);
+
+    await transport.write(new Uint8Array(8192));
+    await transport.read(dump.length);
+    const replay = new odin.ReplayTransport(JSON.parse(JSON.stringify(recorder.toJSON())));
+    await replay.write(new Uint8Array(8192));
+
+    assert.strictEqual(recorder.records[0].data.length, 4096);
+    assert.ok(Buffer.from(await replay.read(dump.length)).equals(Buffer.from(dump)));
+});